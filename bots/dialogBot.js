@@ -1,8 +1,26 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { TeamsActivityHandler } = require('botbuilder');
+const { CardFactory, MessageFactory, TeamsActivityHandler, TurnContext } = require('botbuilder');
 const { v4: uuidv4 } = require('uuid');
+const { INTERRUPTED_STATES, applyThread, getThread, getThreads, isTerminalState, trackEvent } = require('../services/a2aThreads');
+const { getMessageText } = require('../services/a2aParts');
+const { findTaskRecord, getTaskHistory, recordTask } = require('../services/taskHistory');
+const { createSubmittedCard, parseCardSubmission } = require('../services/dataCards');
+const { AuthenticationRequiredError } = require('../services/agentAuth');
+const { AppAuthError } = require('../services/appAuth');
+const { ConsentRequiredError } = require('../services/tokenBroker');
+const { TokenValidationError } = require('../services/tokenClaims');
+const { getThreadConversationId, isSharedConversation } = require('../services/sharedConversations');
+const {
+    CANCEL_TASK_ACTION,
+    REFRESH_TASKS_ACTION,
+    SHOW_TASK_ARTIFACTS_ACTION,
+    createTaskListCard,
+    createTaskProgressCard,
+    formatTaskState
+} = require('../services/taskCards');
+const { findStreamByTaskId, findStreamsByConversation } = require('../services/activeStreams');
 
 /**
  * DialogBot class extends TeamsActivityHandler to handle Teams activities.
@@ -13,8 +31,9 @@ class DialogBot extends TeamsActivityHandler {
      * @param {ConversationState} conversationState - The state management object for conversation state.
      * @param {UserState} userState - The state management object for user state.
      * @param {Dialog} dialog - The dialog to be run by the bot.
+     * @param {SkillRouter} [skillRouter] - Optional router that picks an agent for each message by skill.
      */
-    constructor(conversationState, userState, dialog) {
+    constructor(conversationState, userState, dialog, skillRouter) {
         super();
 
         if (!conversationState) {
@@ -30,6 +49,7 @@ class DialogBot extends TeamsActivityHandler {
         this.conversationState = conversationState;
         this.userState = userState;
         this.dialog = dialog;
+        this.skillRouter = skillRouter;
         this.dialogState = this.conversationState.createProperty('DialogState');
 
         this.onMessage(this.handleMessage.bind(this));
@@ -43,30 +63,103 @@ class DialogBot extends TeamsActivityHandler {
     async handleMessage(context, next) {
         console.log('Running dialog with Message Activity.');
 
+        // In group chats and channels the message starts with an @mention of the bot
+        TurnContext.removeRecipientMention(context.activity);
         const text = context.activity.text?.trim().toLowerCase();
         
         // Special commands that should trigger the dialog flow
-        const dialogCommands = ['login', 'logout', 'exit'];
-        const isDialogCommand = dialogCommands.includes(text);
+        const dialogCommands = ['login', 'logout', 'exit', 'agents', 'new', 'reset', 'whoami', 'refresh agent'];
+        const isDialogCommand = dialogCommands.includes(text) || /^use\s+/.test(text || '');
+
+        // Restore the conversation's A2A session so messages can go straight to the agent
+        await this.dialog.restoreA2AState(context);
+
+        // Cancel requests come from the Cancel button on a task's progress card or the 'cancel' command
+        const cardAction = context.activity.value?.action;
+        if (cardAction === CANCEL_TASK_ACTION || text === 'cancel') {
+            if (cardAction === CANCEL_TASK_ACTION && context.activity.value.fromTaskList) {
+                // Canceled from the 'tasks' card: refresh that card instead of turning it into a progress card
+                await this.cancelTask(context, context.activity.value.taskId);
+                await this.showTaskList(context, context.activity.replyToId);
+            } else if (cardAction === CANCEL_TASK_ACTION) {
+                await this.cancelTask(context, context.activity.value.taskId, context.activity.replyToId);
+            } else {
+                await this.cancelActiveTasks(context);
+            }
+            await this.dialog.persistA2AState(context);
+            await next();
+            return;
+        }
+
+        // Answers to cards sent by an agent go back to the agent's task
+        const submission = parseCardSubmission(context.activity.value);
+        if (submission) {
+            await this.submitAgentCard(context, submission, context.activity.replyToId);
+            await this.dialog.persistA2AState(context);
+            await next();
+            return;
+        }
+
+        // The 'tasks' command and the buttons on the tasks card
+        if (text === 'tasks' || cardAction === REFRESH_TASKS_ACTION || cardAction === SHOW_TASK_ARTIFACTS_ACTION) {
+            if (cardAction === SHOW_TASK_ARTIFACTS_ACTION) {
+                await this.showTaskArtifacts(context, context.activity.value.taskId);
+            } else {
+                await this.showTaskList(context, cardAction === REFRESH_TASKS_ACTION ? context.activity.replyToId : undefined);
+            }
+            await this.dialog.persistA2AState(context);
+            await next();
+            return;
+        }
+
+        // Submissions from other cards have no text, so there is nothing to send or run
+        if (context.activity.value && !context.activity.text) {
+            console.log('DialogBot: Ignoring a card submission from an unknown card');
+            await next();
+            return;
+        }
 
         // Check if we have an authenticated A2A client
         const a2aClient = context.turnState.get('a2aClient');
-        const hasAuth = context.turnState.get('accessToken');
+        // App-only and anonymous agents are reachable without the user signing in
+        const hasAuth = context.turnState.get('accessToken') || !this.dialog.requiresSignIn(this.dialog.getActiveAgent(context));
+
+        // A step-up sign-in is waiting for its magic code, so the message belongs to the dialog
+        const signingIn = !!context.turnState.get('a2aStepUp');
 
         // If it's not a dialog command and we have an authenticated A2A client, route to agent
-        if (!isDialogCommand && hasAuth && a2aClient) {
+        if (!isDialogCommand && !signingIn && hasAuth && a2aClient) {
             try {
                 await this.routeToA2AAgent(context, a2aClient);
+                await this.startPendingSignIn(context);
+                await this.dialog.persistA2AState(context);
                 await next();
                 return;
             } catch (error) {
-                // Check if it's an auth error
-                if (error.message.includes('401') || error.message.includes('Unauthorized')) {
+                // The user is signed in but has to consent to the bot calling the agent for them
+                if (error instanceof ConsentRequiredError) {
+                    await this.dialog.sendConsentPrompt(context, error);
+                    await this.dialog.persistA2AState(context);
+                    await next();
+                    return;
+                }
+
+                // The agent rejected the token and a silent refresh didn't help
+                if (error instanceof AuthenticationRequiredError) {
                     console.log('Authentication failed, triggering login flow...');
-                    // Clear the invalid auth state
-                    context.turnState.set('accessToken', null);
-                    context.turnState.set('a2aClient', null);
+                    await this.dialog.clearRejectedToken(context, error.connectionName);
                     // Fall through to dialog
+                } else if (error instanceof TokenValidationError) {
+                    console.log('DialogBot: Token pre-flight check failed:', error.message);
+                    await context.sendActivity(`🔐 ${error.message}. Type \`whoami\` to see your token's claims.`);
+                    await next();
+                    return;
+                } else if (error instanceof AppAuthError) {
+                    // Signing in wouldn't help: the agent's app registration has to accept the bot
+                    console.log('DialogBot: App-only token rejected:', error.message);
+                    await context.sendActivity(`🔐 ${error.agentName} didn't accept the bot's app-only token. Ask an admin to grant the bot access to the agent.`);
+                    await next();
+                    return;
                 } else {
                     console.error('Error routing to A2A agent:', error);
                     await context.sendActivity(`⚠️ Error communicating with agent: ${error.message}`);
@@ -77,289 +170,609 @@ class DialogBot extends TeamsActivityHandler {
         }
 
         // Run the Dialog with the new message Activity.
-        await this.dialog.run(context, this.dialogState);
+        await this.runDialog(context);
 
         await next();
     }
 
+    /**
+     * Runs the dialog, then resumes the task a step-up sign-in finished during the turn, if any.
+     * @param {TurnContext} context - The context object for the turn.
+     */
+    async runDialog(context) {
+        await this.dialog.run(context, this.dialogState);
+
+        const resume = context.turnState.get('a2aResumeTask');
+        if (resume) {
+            context.turnState.set('a2aResumeTask', null);
+            await this.resumeTask(context, resume);
+            await this.dialog.persistA2AState(context);
+        }
+
+        // A sign-in finished in a personal chat on behalf of a group chat or channel
+        const privateSignIn = context.turnState.get('a2aPrivateSignInDone');
+        if (privateSignIn) {
+            context.turnState.set('a2aPrivateSignInDone', null);
+            await this.resumeAfterPrivateSignIn(context, privateSignIn);
+        }
+
+        await this.signInPrivately(context);
+    }
+
+    /**
+     * Starts the sign-in an auth-required task asked for during the turn, if any: in the conversation
+     * itself, or from a personal chat for group chats and channels.
+     * @param {TurnContext} context - The context object for the turn.
+     */
+    async startPendingSignIn(context) {
+        await this.dialog.beginStepUp(context, this.dialogState);
+        await this.signInPrivately(context);
+    }
+
+    /**
+     * Opens a personal chat with the user and signs them in there when the turn asked for a private
+     * sign-in (see MainDialog.requestPrivateSignIn), so sign-in cards aren't shown to a whole group
+     * chat or channel. The user's token is kept by the token service, so it can be used in the group afterwards.
+     * @param {TurnContext} context - The context object for the group chat or channel turn.
+     */
+    async signInPrivately(context) {
+        const signIn = context.turnState.get('a2aPrivateSignIn');
+        if (!signIn) return;
+        context.turnState.set('a2aPrivateSignIn', null);
+
+        const { activity } = context;
+        const user = activity.from;
+        const reference = TurnContext.getConversationReference(activity);
+        const tenantId = activity.conversation.tenantId || activity.channelData?.tenant?.id;
+        const parameters = {
+            isGroup: false,
+            bot: activity.recipient,
+            members: [user],
+            tenantId,
+            channelData: { tenant: { id: tenantId } }
+        };
+
+        try {
+            await context.adapter.createConversationAsync(process.env.MicrosoftAppId, activity.channelId, activity.serviceUrl, undefined, parameters, async (createContext) => {
+                // The new chat's first turn has no sender; continue it as the user so their state is used
+                const privateReference = { ...TurnContext.getConversationReference(createContext.activity), user };
+                await createContext.adapter.continueConversationAsync(process.env.MicrosoftAppId, privateReference, async (privateContext) => {
+                    privateContext.turnState.set('conversationState', this.conversationState);
+                    privateContext.turnState.set('userState', this.userState);
+                    await this.dialog.beginPrivateSignIn(privateContext, this.dialogState, { ...signIn, reference });
+                    await this.saveState(privateContext);
+                });
+            });
+            await context.sendActivity(`🔐 ${user.name || 'You'}, I've sent you a private message to sign in.`);
+        } catch (error) {
+            console.error('DialogBot: Could not start a private sign-in:', error);
+            await context.sendActivity('⚠️ I couldn\'t message you privately to sign in. Open a chat with me, type `login`, then come back here.');
+        }
+    }
+
+    /**
+     * Resumes the auth-required task a private sign-in was for, in the group chat or channel thread
+     * the task belongs to.
+     * @param {TurnContext} privateContext - The context object for the personal chat turn.
+     * @param {{reference: Object, stepUp: Object, token: string}} privateSignIn - The conversation, the task and the new token
+     */
+    async resumeAfterPrivateSignIn(privateContext, { reference, stepUp, token }) {
+        await privateContext.adapter.continueConversationAsync(process.env.MicrosoftAppId, reference, async (context) => {
+            context.turnState.set('conversationState', this.conversationState);
+            context.turnState.set('userState', this.userState);
+            await this.dialog.restoreA2AState(context);
+
+            try {
+                const resume = await this.dialog.prepareTaskResume(context, stepUp, token);
+                await context.sendActivity(`🔓 ${context.activity.from?.name || 'You'} signed in. Resuming task ${stepUp.taskId}…`);
+                await this.resumeTask(context, resume);
+            } catch (error) {
+                console.error('DialogBot: Could not resume the auth-required task:', error);
+                await context.sendActivity(`❌ Couldn't resume task ${stepUp.taskId}: ${error.message}`);
+            }
+
+            await this.dialog.persistA2AState(context);
+            await this.saveState(context);
+        });
+    }
+
+    /**
+     * Tells an auth-required task that the user has signed in, so the agent continues it with the
+     * new token instead of the user sending their question again.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {{agent: Object, a2aClient: A2AClient, taskId: string, contextId: string, scheme: string}} resume - The task and the client with the new token
+     */
+    async resumeTask(context, { agent, a2aClient, taskId, contextId, scheme }) {
+        try {
+            const sendParams = {
+                message: this.dialog.applyUserIdentity(context, agent, {
+                    messageId: uuidv4(),
+                    role: "user",
+                    parts: [{ kind: "data", data: { authenticated: true, ...(scheme ? { scheme } : {}) } }],
+                    kind: "message",
+                    taskId,
+                    contextId
+                })
+            };
+            await this.dialog.applyPushNotificationConfig(context, agent.name, a2aClient, sendParams);
+            await this.dialog.handleStreamingResponse(context, a2aClient, sendParams, agent.name);
+        } catch (error) {
+            if (error instanceof ConsentRequiredError) {
+                await this.dialog.sendConsentPrompt(context, error);
+                return;
+            }
+            if (error instanceof AuthenticationRequiredError) {
+                await this.dialog.clearRejectedToken(context, error.connectionName);
+                return;
+            }
+            console.error('DialogBot: Resuming the task failed:', error);
+            await context.sendActivity(`⚠️ Error communicating with agent: ${error.message}`);
+            return;
+        }
+
+        // The agent may ask for yet another sign-in
+        await this.startPendingSignIn(context);
+    }
+
     /**
      * Routes the message directly to the A2A agent
      * @param {TurnContext} context - The context object for the turn.
      * @param {A2AClient} a2aClient - The authenticated A2A client
      */
     async routeToA2AAgent(context, a2aClient) {
-        const userMessage = context.activity.text;
+        const userMessage = context.activity.text || '';
+        let agent = this.dialog.getActiveAgent(context);
+        let agentCard = context.turnState.get('agentCard');
+        let skill;
+
+        // Let the skill router pick a different agent when automatic routing is on and there is a choice
+        if (this.skillRouter && context.turnState.get('autoRoute') && this.dialog.agentRegistry.list().length > 1) {
+            const routed = await this.routeBySkills(context, userMessage);
+            if (routed) {
+                ({ agent, a2aClient, agentCard, skill } = routed);
+            }
+        }
+
+        // Send the text along with any files or images attached in Teams
+        const parts = await this.dialog.createMessageParts(context, userMessage, agent, agentCard, skill);
+        if (parts.length === 0) {
+            await context.sendActivity('ℹ️ There was nothing to send to the agent.');
+            return;
+        }
         
         const sendParams = {
-            message: {
+            // Continue the conversation's A2A context (and any task waiting on the user)
+            message: this.dialog.applyUserIdentity(context, agent, applyThread(context, agent.name, {
                 messageId: uuidv4(),
                 role: "user",
-                parts: [{ kind: "text", text: userMessage }],
+                parts,
                 kind: "message",
-            },
+            })),
         };
 
+        // Ask the agent to notify the bot if the task finishes after this turn
+        await this.dialog.applyPushNotificationConfig(context, agent.name, a2aClient, sendParams);
+
+        // Use streaming to handle all responses for real-time updates
+        console.log('DialogBot: Routing message via streaming response');
+        await this.dialog.handleStreamingResponse(context, a2aClient, sendParams, agent.name);
+    }
+
+    /**
+     * Sends the values submitted on an agent's card back to the agent as a data part, in the card's
+     * A2A context, and replaces the card with a read-only version so it can't be submitted twice
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {{source: Object, values: Object}} submission - The card's source (agent, task, context) and the submitted values
+     * @param {string} [cardActivityId] - The id of the card to replace (Action.Submit)
+     * @param {string} [verb] - The verb of an Action.Execute
+     */
+    async submitAgentCard(context, { source, values }, cardActivityId, verb) {
+        const agent = this.dialog.agentRegistry.get(source.agentName);
         try {
-            // Use streaming to handle all responses for real-time updates
-            console.log('DialogBot: Routing message via streaming response');
-            await this.handleStreamingResponse(context, a2aClient, sendParams);
+            const a2aClient = agent && (await this.dialog.getClientForAgent(context, agent))?.a2aClient;
+            if (!a2aClient) {
+                await context.sendActivity(`🔐 Sign in to ${agent ? agent.displayName : source.agentName} to submit this card.`);
+                return;
+            }
+
+            if (cardActivityId) {
+                try {
+                    await context.updateActivity({
+                        ...MessageFactory.attachment(CardFactory.adaptiveCard(createSubmittedCard(values))),
+                        id: cardActivityId
+                    });
+                } catch (updateError) {
+                    console.log('DialogBot: Submitted card update failed');
+                }
+            }
+
+            const message = this.dialog.applyUserIdentity(context, agent, applyThread(context, agent.name, {
+                messageId: uuidv4(),
+                role: "user",
+                parts: [{ kind: "data", data: values, ...(verb ? { metadata: { verb } } : {}) }],
+                kind: "message",
+            }));
+            // Answer in the card's context. The thread's task may be another one than the card's, so the
+            // card's task is only continued while it is waiting on the user
+            if (source.contextId) {
+                message.contextId = source.contextId;
+            }
+            delete message.taskId;
+            if (source.taskId && getThread(context, agent.name).taskId === source.taskId) {
+                message.taskId = source.taskId;
+            }
+
+            const sendParams = { message };
+            await this.dialog.applyPushNotificationConfig(context, agent.name, a2aClient, sendParams);
+            await this.dialog.handleStreamingResponse(context, a2aClient, sendParams, agent.name);
+            await this.startPendingSignIn(context);
         } catch (error) {
-            // Check for auth errors
-            if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-                throw new Error('401 Unauthorized - Authentication required');
+            if (error instanceof ConsentRequiredError) {
+                await this.dialog.sendConsentPrompt(context, error);
+                return;
             }
-            throw error;
+            if (error instanceof AuthenticationRequiredError) {
+                await this.dialog.clearRejectedToken(context, error.connectionName);
+                return;
+            }
+            console.error('DialogBot: Card submission failed:', error);
+            await context.sendActivity(`⚠️ Error communicating with agent: ${error.message}`);
         }
     }
 
     /**
-     * Handles streaming response from A2A agent
+     * Handles Action.Execute on cards sent by agents. The invoke must be answered within a few seconds,
+     * so the card is replaced with its submitted version right away and the values are sent to the
+     * agent in a proactive turn, started once this turn has saved its state (see run).
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {AdaptiveCardInvokeValue} invokeValue - The action and its data.
+     * @returns {Promise<AdaptiveCardInvokeResponse>} The card that replaces the submitted one, or a message.
+     */
+    async onAdaptiveCardInvoke(context, invokeValue) {
+        const submission = parseCardSubmission(invokeValue.action.data);
+        if (!submission) {
+            return { statusCode: 200, type: 'application/vnd.microsoft.activity.message', value: 'This card is no longer active.' };
+        }
+
+        await this.dialog.restoreA2AState(context);
+        const agent = this.dialog.agentRegistry.get(submission.source.agentName);
+        if (!agent || !(await this.dialog.getClientForAgent(context, agent))) {
+            return { statusCode: 200, type: 'application/vnd.microsoft.activity.message', value: `Sign in to ${agent ? agent.displayName : submission.source.agentName} to submit this card.` };
+        }
+
+        context.turnState.set('cardSubmission', {
+            reference: TurnContext.getConversationReference(context.activity),
+            submission,
+            verb: invokeValue.action.verb
+        });
+
+        return {
+            statusCode: 200,
+            type: 'application/vnd.microsoft.card.adaptive',
+            value: createSubmittedCard(submission.values)
+        };
+    }
+
+    /**
+     * Sends the values of a card submitted with Action.Execute to the agent in a proactive turn.
+     * The invoke has already been answered, so when the turn can't run the user is told in another one.
+     * @param {BotAdapter} adapter - The adapter that received the invoke.
+     * @param {{reference: Object, submission: Object, verb: string}} cardSubmission - The conversation, the submission and the action's verb.
+     * @returns {Promise<void>} Settles when the agent has been sent the values, or the failure reported.
+     */
+    submitCardInBackground(adapter, { reference, submission, verb }) {
+        return adapter.continueConversationAsync(process.env.MicrosoftAppId, reference, async (proactiveContext) => {
+            proactiveContext.turnState.set('conversationState', this.conversationState);
+            proactiveContext.turnState.set('userState', this.userState);
+            await this.dialog.restoreA2AState(proactiveContext);
+            await this.submitAgentCard(proactiveContext, submission, undefined, verb);
+            await this.dialog.persistA2AState(proactiveContext);
+            await this.saveState(proactiveContext);
+        }).catch(async (error) => {
+            console.error('DialogBot: Card submission failed:', error);
+            const agent = this.dialog.agentRegistry.get(submission.source.agentName);
+            try {
+                await adapter.continueConversationAsync(process.env.MicrosoftAppId, reference, async (proactiveContext) => {
+                    await proactiveContext.sendActivity(`⚠️ Your answer couldn't be sent to ${agent ? agent.displayName : submission.source.agentName}: ${error.message}`);
+                });
+            } catch (reportError) {
+                console.error('DialogBot: Could not report the failed card submission:', reportError);
+            }
+        });
+    }
+
+    /**
+     * Picks the agent for a message by matching it against the skills in the agent cards,
+     * and tells the user which agent and skill were chosen and why
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {string} userMessage - The user's message
+     * @returns {Promise<{agent: Object, agentCard: Object, a2aClient: A2AClient, skill?: Object}|undefined>} The chosen agent, its card, client and matched skill, if reachable
+     */
+    async routeBySkills(context, userMessage) {
+        const candidates = await this.dialog.getRoutingCandidates(context);
+        if (candidates.length === 0) {
+            return undefined;
+        }
+
+        const activeAgent = this.dialog.getActiveAgent(context);
+        const decision = this.skillRouter.route(userMessage, candidates, activeAgent);
+        const candidate = candidates.find(c => c.agent.name === decision.agent.name);
+
+        // Only the chosen agent gets a client
+        let client;
+        try {
+            client = candidate && await this.dialog.getClientForAgent(context, candidate.agent);
+        } catch (error) {
+            console.log(`DialogBot: Could not connect to routed agent ${decision.agent.name}:`, error.message);
+        }
+        if (!client) {
+            console.log(`DialogBot: Routed agent ${decision.agent.name} is not reachable, using ${activeAgent.name}`);
+            return undefined;
+        }
+
+        const skillText = decision.skill ? ` · skill *${decision.skill.name}*` : '';
+        await context.sendActivity(`🧭 Routed to **${decision.agent.displayName}**${skillText} — ${decision.reason}`);
+
+        return { agent: candidate.agent, ...client, skill: decision.skill };
+    }
+
+    /**
+     * Cancels every task running or waiting on the user in this conversation ('cancel' command)
+     * @param {TurnContext} context - The context object
+     */
+    async cancelActiveTasks(context) {
+        const conversationId = getThreadConversationId(context.activity);
+        // In group chats and channels only the user's own tasks are canceled
+        const userId = isSharedConversation(context.activity) ? context.activity.from.id : undefined;
+        const taskIds = new Set(findStreamsByConversation(conversationId, userId).map(stream => stream.taskId));
+        for (const job of this.dialog.taskPoller?.findJobsByConversation(conversationId, userId) || []) {
+            taskIds.add(job.taskId);
+        }
+        for (const thread of Object.values(getThreads(context))) {
+            if (thread.taskId) {
+                taskIds.add(thread.taskId);
+            }
+        }
+
+        if (taskIds.size === 0) {
+            await context.sendActivity('ℹ️ There is no active task to cancel.');
+            return;
+        }
+
+        for (const taskId of taskIds) {
+            await this.cancelTask(context, taskId);
+        }
+    }
+
+    /**
+     * Cancels a task with the A2A tasks/cancel method. A stream still reading the task is then
+     * stopped, and the turn reading it marks the task as canceled in Teams.
      * @param {TurnContext} context - The context object
-     * @param {A2AClient} a2aClient - The A2A client
-     * @param {Object} sendParams - The message parameters
+     * @param {string} taskId - The id of the task to cancel
+     * @param {string} [cardActivityId] - The id of the progress card the Cancel button was clicked on
      */
-    async handleStreamingResponse(context, a2aClient, sendParams) {
+    async cancelTask(context, taskId, cardActivityId) {
+        const activeStream = findStreamByTaskId(taskId);
+        const pollingJob = this.dialog.taskPoller?.getJob(taskId);
+
+        // Everyone in a group chat or channel sees the Cancel button, and the task id comes from the
+        // card, so a task being read for someone else is left alone. Other tasks are only found in the
+        // clicking user's threads and task history below.
+        const ownerId = activeStream ? activeStream.userId : pollingJob?.conversationReference.user?.id;
+        if ((activeStream || pollingJob) && ownerId !== context.activity.from?.id) {
+            await context.sendActivity(`⚠️ Task ${taskId} was started by someone else, so only they can cancel it.`);
+            return;
+        }
+
+        const threadEntry = Object.entries(getThreads(context)).find(([, thread]) => thread.taskId === taskId);
+        const agentName = (activeStream || pollingJob)?.agentName || threadEntry?.[0] || findTaskRecord(context, taskId)?.agentName;
+        const agent = this.dialog.agentRegistry.get(agentName);
+
+        let a2aClient = (activeStream || pollingJob)?.a2aClient;
+        if (!a2aClient && agent) {
+            a2aClient = (await this.dialog.getClientForAgent(context, agent))?.a2aClient;
+        }
+        if (!a2aClient) {
+            await context.sendActivity(`⚠️ Task ${taskId} is no longer active in this conversation.`);
+            return;
+        }
+
         try {
-            console.log('DialogBot: Starting streaming response...');
-            
-            // Send initial typing indicator
-            await context.sendActivity({ type: 'typing' });
-            
-            const stream = a2aClient.sendMessageStream(sendParams);
-            
-            let accumulatedText = '';
-            let currentTask = null;
-            let receivedEvents = false;
-            let lastArtifacts = [];
-            let messageActivity = null;
-            let updateCount = 0;
-            const UPDATE_INTERVAL = 5; // Update UI every 5 events for smooth streaming
-            let isCompleted = false;
-            
-            // Set up periodic typing indicator while streaming
-            const typingInterval = setInterval(async () => {
-                if (!isCompleted) {
-                    try {
-                        await context.sendActivity({ type: 'typing' });
-                    } catch (error) {
-                        console.log('DialogBot: Typing indicator failed:', error.message);
-                    }
+            const response = await a2aClient.cancelTask({ id: taskId });
+            if ("error" in response) {
+                await context.sendActivity(`⚠️ Could not cancel task ${taskId}: ${response.error.message}`);
+                return;
+            }
+        } catch (error) {
+            console.error('DialogBot: Cancel task failed:', error);
+            await context.sendActivity(`⚠️ Could not cancel task ${taskId}: ${error.message}`);
+            return;
+        }
+
+        if (activeStream) {
+            activeStream.stop();
+        }
+        if (pollingJob) {
+            this.dialog.taskPoller.stop(taskId);
+        }
+
+        trackEvent(context, agentName, { kind: 'status-update', taskId, status: { state: 'canceled' } });
+
+        if (!activeStream) {
+            // No turn is streaming this task, so update the card here
+            cardActivityId = cardActivityId || pollingJob?.progressActivityId;
+            if (cardActivityId) {
+                const card = createTaskProgressCard({ agentName: agent.displayName, taskId, state: 'canceled' });
+                try {
+                    await context.updateActivity({
+                        ...MessageFactory.attachment(CardFactory.adaptiveCard(card)),
+                        id: cardActivityId
+                    });
+                } catch (updateError) {
+                    console.log('DialogBot: Progress card update failed');
                 }
-            }, 2000); // Send typing every 2 seconds
-            
+            }
+            await context.sendActivity(`🚫 Task ${taskId} canceled.`);
+        }
+    }
+
+    /**
+     * Shows the user's recent and active tasks ('tasks' command). Tasks that haven't finished are
+     * refreshed with tasks/get first, when their agent is reachable from this conversation.
+     * @param {TurnContext} context - The context object
+     * @param {string} [cardActivityId] - The id of the tasks card to update instead of sending a new one
+     */
+    async showTaskList(context, cardActivityId) {
+        const history = getTaskHistory(context);
+        for (const record of history.filter(r => !isTerminalState(r.state))) {
             try {
-                for await (const event of stream) {
-                    receivedEvents = true;
-                    console.log(`DialogBot: Received event:`, event.kind);
-                    
-                    if (event.kind === "message") {
-                    // Direct message response
-                    if (event.parts && event.parts[0]?.text) {
-                        accumulatedText += event.parts[0].text;
-                        updateCount++;
-                        console.log('DialogBot: Accumulated message text');
-                        
-                        // Update or send the message in Teams
-                        if (!messageActivity) {
-                            // Send initial message
-                            const response = await context.sendActivity(`🤖 ${accumulatedText}`);
-                            messageActivity = response;
-                        } else if (updateCount % UPDATE_INTERVAL === 0) {
-                            // Update existing message periodically for smooth streaming
-                            try {
-                                await context.updateActivity({
-                                    ...messageActivity,
-                                    text: `🤖 ${accumulatedText}`,
-                                    type: 'message'
-                                });
-                            } catch (updateError) {
-                                console.log('DialogBot: Message update not supported, continuing...');
-                            }
-                        }
-                    }
-                } else if (event.kind === "task") {
-                    // Initial task creation
-                    currentTask = event;
-                    console.log(`DialogBot: Task ${event.id} created with status: ${event.status.state}`);
-                    
-                    // Collect initial artifacts if present
-                    if (event.artifacts && event.artifacts.length > 0) {
-                        lastArtifacts = event.artifacts;
-                    }
-                } else if (event.kind === "status-update") {
-                    // Task status changed
-                    console.log(`DialogBot: Task status update: ${event.status.state}`);
-                    if (currentTask) {
-                        currentTask.status = event.status;
-                    }
-                    
-                    // If task completed, stop typing indicator and send final update
-                    if (event.status.state === "completed") {
-                        console.log('DialogBot: Task completed, stopping typing indicator');
-                        isCompleted = true;
-                        clearInterval(typingInterval);
-                        
-                        if (accumulatedText && messageActivity) {
-                            console.log('DialogBot: Sending final update');
-                            try {
-                                await context.updateActivity({
-                                    ...messageActivity,
-                                    text: `🤖 ${accumulatedText}`,
-                                    type: 'message'
-                                });
-                            } catch (updateError) {
-                                console.log('DialogBot: Final update failed');
-                            }
-                        }
-                    }
-                } else if (event.kind === "artifact-update") {
-                    // New artifact added to task
-                    console.log(`DialogBot: Artifact update received`);
-                    if (event.artifact && event.artifact.parts) {
-                        // Collect artifact text
-                        for (const part of event.artifact.parts) {
-                            if (part.kind === "text" && part.text) {
-                                accumulatedText += part.text;
-                                updateCount++;
-                                
-                                // Update message with artifact text
-                                if (!messageActivity) {
-                                    const response = await context.sendActivity(`🤖 ${accumulatedText}`);
-                                    messageActivity = response;
-                                } else if (updateCount % UPDATE_INTERVAL === 0) {
-                                    try {
-                                        await context.updateActivity({
-                                            ...messageActivity,
-                                            text: `🤖 ${accumulatedText}`,
-                                            type: 'message'
-                                        });
-                                    } catch (updateError) {
-                                        console.log('DialogBot: Message update not supported');
-                                    }
-                                }
-                            }
-                        }
-                        // Store artifact
-                        lastArtifacts.push(event.artifact);
-                    }
+                const a2aClient = await this.getTaskClient(context, record);
+                if (!a2aClient) continue;
+
+                const response = await a2aClient.getTask({ id: record.taskId, historyLength: 0 });
+                if (!("error" in response)) {
+                    // Not trackEvent: the task may belong to another conversation's thread
+                    recordTask(context, record.agentName, response.result);
                 }
+            } catch (error) {
+                console.log(`DialogBot: Could not refresh task ${record.taskId}:`, error.message);
             }
-            } finally {
-                // Always clean up the typing interval
-                clearInterval(typingInterval);
-                isCompleted = true;
+        }
+
+        const card = createTaskListCard(getTaskHistory(context), (agentName) => {
+            return this.dialog.agentRegistry.get(agentName)?.displayName || agentName;
+        });
+        const activity = MessageFactory.attachment(CardFactory.adaptiveCard(card));
+
+        if (cardActivityId) {
+            try {
+                await context.updateActivity({ ...activity, id: cardActivityId });
+                return;
+            } catch (updateError) {
+                console.log('DialogBot: Tasks card update failed, sending a new one');
             }
-            
-            console.log(`DialogBot: Stream complete. Received events: ${receivedEvents}`);
-            
-            // Send or update the final response based on what we received
-            if (accumulatedText) {
-                // We have text content (either from message or artifacts)
-                console.log('DialogBot: Sending final accumulated text to Teams');
-                
-                if (messageActivity) {
-                    // Update with final text
-                    try {
-                        await context.updateActivity({
-                            ...messageActivity,
-                            text: `🤖 ${accumulatedText}`,
-                            type: 'message'
-                        });
-                    } catch (updateError) {
-                        // If update fails, send as new message
-                        await context.sendActivity(`🤖 ${accumulatedText}`);
-                    }
-                } else {
-                    // Send as new message if we never sent one
-                    await context.sendActivity(`🤖 ${accumulatedText}`);
-                }
-            } else if (currentTask) {
-                // We have a task but no text content
-                await context.sendActivity(`🎯 Task ${currentTask.id}: ${currentTask.status.state}`);
-                
-                // Display artifacts if any
-                if (lastArtifacts.length > 0) {
-                    for (const artifact of lastArtifacts) {
-                        await context.sendActivity(`📎 ${artifact.name || artifact.artifactId}`);
-                        if (artifact.parts) {
-                            for (const part of artifact.parts) {
-                                if (part.kind === "text") {
-                                    await context.sendActivity(`📄 ${part.text}`);
-                                } else if (part.kind === "file") {
-                                    await context.sendActivity(`🗂️ File: ${part.filename || 'unnamed'}`);
-                                }
-                            }
-                        }
-                    }
-                }
-                
-                // Show status message if available
-                if (currentTask.status.message) {
-                    await context.sendActivity(`ℹ️ ${currentTask.status.message}`);
-                }
-            } else if (!receivedEvents) {
-                await context.sendActivity('⚠️ No response received from agent.');
+        }
+        await context.sendActivity(activity);
+    }
+
+    /**
+     * Fetches a task from its agent and shows its artifacts (Show artifacts button on the tasks card)
+     * @param {TurnContext} context - The context object
+     * @param {string} taskId - The task id
+     */
+    async showTaskArtifacts(context, taskId) {
+        const record = findTaskRecord(context, taskId);
+
+        let task;
+        try {
+            const a2aClient = record && await this.getTaskClient(context, record);
+            if (!a2aClient) {
+                await context.sendActivity(`⚠️ Task ${taskId} can't be loaded. Sign in to its agent first.`);
+                return;
             }
-            
-            console.log('DialogBot: Response handling complete');
-            
+
+            const response = await a2aClient.getTask({ id: taskId, historyLength: 0 });
+            if ("error" in response) {
+                throw new Error(response.error.message);
+            }
+            task = response.result;
         } catch (error) {
-            console.error('DialogBot: Streaming error:', error);
-            // If streaming fails, fall back to regular response
-            console.log('DialogBot: Falling back to regular response...');
-            await this.handleRegularResponse(context, a2aClient, sendParams);
+            console.error('DialogBot: Get task failed:', error);
+            await context.sendActivity(`⚠️ Could not load task ${taskId}: ${error.message}`);
+            return;
         }
+
+        recordTask(context, record.agentName, task);
+
+        if (!task.artifacts || task.artifacts.length === 0) {
+            await context.sendActivity(`ℹ️ Task ${taskId} has no artifacts yet (${formatTaskState(task.status.state)}).`);
+            return;
+        }
+        await this.dialog.displayTaskArtifacts(context, task.artifacts, record.agentName, task);
     }
 
     /**
-     * Handles regular (non-streaming) response from A2A agent
+     * Gets a client for the agent that owns a recorded task
      * @param {TurnContext} context - The context object
-     * @param {A2AClient} a2aClient - The A2A client
-     * @param {Object} sendParams - The message parameters
+     * @param {Object} record - The task record from the user's task history
+     * @returns {Promise<A2AClient|undefined>} The client, or undefined when the agent isn't reachable from this conversation
      */
-    async handleRegularResponse(context, a2aClient, sendParams) {
-        // Send typing indicator
-        await context.sendActivity({ type: 'typing' });
-        
-        const response = await a2aClient.sendMessage(sendParams);
-        
-        if ("error" in response) {
-            throw new Error(response.error.message);
+    async getTaskClient(context, record) {
+        const running = findStreamByTaskId(record.taskId) || this.dialog.taskPoller?.getJob(record.taskId);
+        if (running) {
+            return running.a2aClient;
         }
 
-        const result = response.result;
-        
-        if (result.kind === "message") {
-            const text = result.parts[0]?.text || 'No text content';
-            await context.sendActivity(`🤖 ${text}`);
-        } else if (result.kind === "task") {
-            await context.sendActivity(`🎯 Task: ${result.id} (${result.status.state})`);
-            
-            // Display artifacts if available
-            if (result.artifacts && result.artifacts.length > 0) {
-                for (const artifact of result.artifacts) {
-                    await context.sendActivity(`📎 ${artifact.name || artifact.artifactId}`);
-                    if (artifact.parts) {
-                        for (const part of artifact.parts) {
-                            if (part.kind === "text") {
-                                await context.sendActivity(`📄 ${part.text}`);
-                            } else if (part.kind === "file") {
-                                await context.sendActivity(`🗂️ File: ${part.filename || 'unnamed'}`);
-                            }
-                        }
-                    }
-                }
+        const agent = this.dialog.agentRegistry.get(record.agentName);
+        return agent ? (await this.dialog.getClientForAgent(context, agent))?.a2aClient : undefined;
+    }
+
+    /**
+     * Posts the result of a task that finished after the turn that started it (or the agent's question,
+     * when it is waiting on the user) and records the task on the conversation's A2A thread.
+     * Used from proactive turns started by push notifications and the task poller.
+     * @param {TurnContext} context - The proactive turn context
+     * @param {Object} task - The task
+     * @param {string} agentName - The name of the agent that owns the task
+     */
+    async deliverTaskUpdate(context, task, agentName) {
+        context.turnState.set('conversationState', this.conversationState);
+        context.turnState.set('userState', this.userState);
+        await this.dialog.restoreA2AState(context);
+        trackEvent(context, agentName, task);
+
+        const taskId = task.id || task.taskId;
+        const state = task.status.state;
+        if (INTERRUPTED_STATES.includes(state)) {
+            await this.dialog.sendInputRequest(context, taskId, task.status, agentName);
+        } else {
+            const agent = this.dialog.agentRegistry.get(agentName);
+            await context.sendActivity(`🔔 ${agent ? agent.displayName : agentName} task ${taskId}: ${formatTaskState(state)}`);
+
+            if (task.artifacts && task.artifacts.length > 0) {
+                await this.dialog.displayTaskArtifacts(context, task.artifacts, agentName, task);
             }
-            
-            // Display status message if available
-            if (result.status.message) {
-                await context.sendActivity(`ℹ️ ${result.status.message}`);
+            if (task.status.message) {
+                await context.sendActivity(`ℹ️ ${getMessageText(task.status.message)}`);
             }
-            
-            // Note: Task polling removed due to A2A SDK body read limitations
-            if (result.status.state !== "completed" && result.status.state !== "failed" && result.status.state !== "canceled") {
-                await context.sendActivity(`⏳ Task is ${result.status.state}. The agent will notify when complete.`);
+        }
+
+        await this.startPendingSignIn(context);
+        await this.dialog.persistA2AState(context);
+        await this.saveState(context);
+    }
+
+    /**
+     * Posts a task update received through an A2A push notification into the conversation that
+     * started the task. Runs in a proactive turn started by the notification webhook.
+     * @param {TurnContext} context - The proactive turn context
+     * @param {Object} task - The task from the notification
+     * @param {Object} registration - The push notification registration the task belongs to
+     */
+    async handleTaskNotification(context, task, registration) {
+        const pushNotifications = this.dialog.pushNotifications;
+        const state = task.status?.state;
+        const waitingOnUser = INTERRUPTED_STATES.includes(state);
+
+        // Progress updates aren't posted; only results and questions for the user are
+        if (!isTerminalState(state) && !waitingOnUser) {
+            return;
+        }
+
+        // The turn that started the task already showed this result
+        if (registration.delivered) {
+            if (isTerminalState(state)) {
+                await pushNotifications.release(registration.id);
             }
+            return;
+        }
+
+        await this.deliverTaskUpdate(context, task, registration.agentName);
+
+        if (isTerminalState(state)) {
+            await pushNotifications.release(registration.id);
+        } else {
+            await pushNotifications.markDelivered(registration.id);
         }
     }
 
@@ -371,8 +784,27 @@ class DialogBot extends TeamsActivityHandler {
         await super.run(context);
 
         // Save any state changes. The load happened during the execution of the Dialog.
-        await this.conversationState.saveChanges(context, false);
-        await this.userState.saveChanges(context, false);
+        await this.saveState(context);
+
+        // A card submitted with Action.Execute goes to the agent after the invoke's state is saved, so
+        // the two turns don't save the conversation at once. Not awaited: the invoke is answered first.
+        const cardSubmission = context.turnState.get('cardSubmission');
+        if (cardSubmission) {
+            this.submitCardInBackground(context.adapter, cardSubmission);
+        }
+    }
+
+    /**
+     * Saves the turn's conversation and user state. User state (such as task history) is saved
+     * even when the conversation state can't be.
+     * @param {TurnContext} context - The context object for the turn.
+     */
+    async saveState(context) {
+        try {
+            await this.conversationState.saveChanges(context, false);
+        } finally {
+            await this.userState.saveChanges(context, false);
+        }
     }
 }
 
@@ -1,7 +1,39 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
+const { CardFactory, MessageFactory } = require('botbuilder');
+const { v4: uuidv4 } = require('uuid');
 const { DialogBot } = require('./dialogBot');
+const { INTERRUPTED_STATES, isTerminalState } = require('../services/a2aThreads');
+const { getMessageText } = require('../services/a2aParts');
+const { AuthenticationRequiredError, exchangeSsoToken, getSignInLink, getUserToken, signOutUser } = require('../services/agentAuth');
+const { AppAuthError } = require('../services/appAuth');
+const { createAgentResults, createExtensionMessage, createSendToAgentCard } = require('../services/extensionCards');
+const { createMessageContextParts, getMessagePayloadText } = require('../services/messageContext');
+const { ConsentRequiredError } = require('../services/tokenBroker');
+const { TokenValidationError } = require('../services/tokenClaims');
+
+// The search command of the message extension (see composeExtensions in the app manifest)
+const ASK_AGENT_COMMAND = 'askAgent';
+
+// The message action that sends a message to an agent
+const SEND_TO_AGENT_COMMAND = 'sendToAgent';
+
+// Teams gives up on a message extension query after about five seconds, counted from when the invoke
+// was sent, so the bot's deadline starts when the invoke arrives
+const MESSAGE_EXTENSION_TIMEOUT_MS = 4500;
+
+// `agent: question` or `agent/skill: question` picks who answers a search
+const SEARCH_TARGET_PATTERN = /^([\w.-]+)(?:\/([^:]+))?:\s*([\s\S]+)$/;
+
+/**
+ * Builds the message extension response for an agent that didn't answer in time.
+ * @param {Object} agent - The agent definition from the registry.
+ * @returns {MessagingExtensionResponse} The message.
+ */
+function createTooLongMessage(agent) {
+    return createExtensionMessage(`⏳ ${agent.displayName} is taking too long. Ask it in a chat with the bot instead.`);
+}
 
 /**
  * TeamsBot class extends DialogBot to handle Teams-specific activities.
@@ -12,9 +44,10 @@ class TeamsBot extends DialogBot {
      * @param {ConversationState} conversationState - The state management object for conversation state.
      * @param {UserState} userState - The state management object for user state.
      * @param {Dialog} dialog - The dialog to be run by the bot.
+     * @param {SkillRouter} [skillRouter] - Optional router that picks an agent for each message by skill.
      */
-    constructor(conversationState, userState, dialog) {
-        super(conversationState, userState, dialog);
+    constructor(conversationState, userState, dialog, skillRouter) {
+        super(conversationState, userState, dialog, skillRouter);
 
         this.onMembersAdded(this.handleMembersAdded.bind(this));
     }
@@ -41,7 +74,7 @@ class TeamsBot extends DialogBot {
      */
     async handleTeamsSigninVerifyState(context, query) {
         console.log('Running dialog with signin/verifystate from an Invoke Activity.');
-        await this.dialog.run(context, this.dialogState);
+        await this.runDialog(context);
     }
 
     /**
@@ -51,7 +84,322 @@ class TeamsBot extends DialogBot {
      */
     async handleTeamsSigninTokenExchange(context, query) {
         console.log('Running dialog with signin/tokenExchange from an Invoke Activity.');
-        await this.dialog.run(context, this.dialogState);
+        await this.runDialog(context);
+    }
+
+    /**
+     * Handles the user accepting a file-consent card by uploading the agent's file.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {FileConsentCardResponse} fileConsentCardResponse - The user's answer, with the upload info.
+     */
+    async handleTeamsFileConsentAccept(context, fileConsentCardResponse) {
+        console.log('Uploading file from a fileConsent/invoke Activity.');
+        await this.dialog.fileAttachments?.uploadAcceptedFile(context, fileConsentCardResponse);
+    }
+
+    /**
+     * Handles the user declining a file-consent card.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {FileConsentCardResponse} fileConsentCardResponse - The user's answer.
+     */
+    async handleTeamsFileConsentDecline(context, fileConsentCardResponse) {
+        this.dialog.fileAttachments?.discardDeclinedFile(fileConsentCardResponse);
+        await context.sendActivity('🗂️ File not saved.');
+    }
+
+    /**
+     * Handles a search from the message extension: sends the typed question to an agent (and skill)
+     * over A2A and returns its answers as cards the user can insert into any chat. The user is signed
+     * in with the agent's connection through Teams SSO, or a sign-in link when that isn't possible.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {MessagingExtensionQuery} query - The search command and its parameters.
+     * @returns {Promise<MessagingExtensionResponse>} The results, a sign-in request or a message.
+     */
+    async handleTeamsMessagingExtensionQuery(context, query) {
+        const signal = AbortSignal.timeout(MESSAGE_EXTENSION_TIMEOUT_MS);
+        if (query.commandId !== ASK_AGENT_COMMAND) {
+            return createExtensionMessage(`❔ Unknown command '${query.commandId}'.`);
+        }
+
+        const text = (query.parameters?.find(parameter => parameter.name === 'query')?.value || '').trim();
+        if (!text) {
+            return createExtensionMessage('💡 Type a question, or `agent: question` / `agent/skill: question` to pick who answers it.');
+        }
+
+        const { agent, skillName, question } = this.resolveSearchTarget(text);
+        return await this.askAgentFromExtension(context, { agent, skillName, question, magicCode: query.state, signal });
+    }
+
+    /**
+     * Opens the task module of the 'Send to an agent' message action, where the user picks an agent
+     * or skill and says what to do with the selected message.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {MessagingExtensionAction} action - The action, with the selected message.
+     * @returns {Promise<MessagingExtensionActionResponse>} The task module.
+     */
+    async handleTeamsMessagingExtensionFetchTask(context, action) {
+        if (action.commandId !== SEND_TO_AGENT_COMMAND) {
+            return createExtensionMessage(`❔ Unknown command '${action.commandId}'.`);
+        }
+
+        // Skills are offered for agents whose cards have been fetched
+        const { agentRegistry, agentCardCache } = this.dialog;
+        const targets = [];
+        for (const agent of agentRegistry.list()) {
+            targets.push({ title: agent.displayName, value: agent.name });
+            for (const skill of agentCardCache.peekCard(agent.cardUrl)?.skills || []) {
+                targets.push({ title: `${agent.displayName} · ${skill.name}`, value: `${agent.name}/${skill.id}` });
+            }
+        }
+
+        const { messagePayload } = action;
+        const card = createSendToAgentCard({
+            targets,
+            defaultTarget: agentRegistry.getDefault().name,
+            sender: messagePayload?.from?.user?.displayName || messagePayload?.from?.application?.displayName || 'Message',
+            text: getMessagePayloadText(messagePayload)
+        });
+        return {
+            task: {
+                type: 'continue',
+                value: {
+                    title: 'Send to an agent',
+                    width: 'medium',
+                    height: 'medium',
+                    card: CardFactory.adaptiveCard(card)
+                }
+            }
+        };
+    }
+
+    /**
+     * Handles the 'Send to an agent' task module: sends the instruction to the chosen agent (and skill)
+     * as a new A2A message with the selected message's text, files and cards as context, then inserts
+     * the answer into the compose box or posts it to the conversation.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {MessagingExtensionAction} action - The action, with the task module's values and the selected message.
+     * @returns {Promise<MessagingExtensionActionResponse>} The answers to insert, a sign-in request or a message.
+     */
+    async handleTeamsMessagingExtensionSubmitAction(context, action) {
+        const signal = AbortSignal.timeout(MESSAGE_EXTENSION_TIMEOUT_MS);
+        if (action.commandId !== SEND_TO_AGENT_COMMAND) {
+            return createExtensionMessage(`❔ Unknown command '${action.commandId}'.`);
+        }
+
+        const { target, instruction, post } = action.data || {};
+        const [agentName, skillName] = (target || '').split('/');
+        const agent = this.dialog.agentRegistry.get(agentName);
+        if (!agent) {
+            return createExtensionMessage(`❔ Unknown agent '${agentName}'.`);
+        }
+        if (!instruction?.trim()) {
+            return createExtensionMessage('💡 Tell the agent what to do with the message.');
+        }
+
+        const question = instruction.trim();
+        const response = await this.askAgentFromExtension(context, {
+            agent,
+            skillName,
+            question,
+            parts: [{ kind: "text", text: question }, ...createMessageContextParts(action.messagePayload)],
+            magicCode: action.state,
+            signal
+        });
+        if (post !== 'true' || response.composeExtension.type !== 'result') {
+            return response;
+        }
+
+        // Fall back to inserting the answer when the bot can't post here (e.g. it isn't in the chat)
+        try {
+            for (const { preview, ...attachment } of response.composeExtension.attachments) {
+                await context.sendActivity(MessageFactory.attachment(attachment));
+            }
+            return undefined;
+        } catch (error) {
+            console.log('TeamsBot: Could not post the agent\'s answer, inserting it instead:', error.message);
+            return response;
+        }
+    }
+
+    /**
+     * Signs the user in with an agent's connection if needed, then asks the agent from a message
+     * extension (see askAgent). Sign-in and agent errors are turned into message extension responses.
+     * Everything from reading the agent card to the agent's answer has to finish before `signal` aborts.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {Object} request - The request.
+     * @param {Object} request.agent - The agent definition from the registry.
+     * @param {string} [request.skillName] - The id or name of the skill to ask.
+     * @param {string} request.question - What the user asked.
+     * @param {Array<Object>} [request.parts] - The message parts; just the question when omitted.
+     * @param {string} [request.magicCode] - The `state` Teams sends after the user signed in.
+     * @param {AbortSignal} request.signal - Aborts when Teams is about to give up on the invoke.
+     * @returns {Promise<MessagingExtensionResponse>} The results, a sign-in request or a message.
+     */
+    async askAgentFromExtension(context, { agent, skillName, question, parts, magicCode, signal }) {
+        await this.dialog.resolveAgentSignIn(agent, signal);
+
+        let accessToken;
+        if (this.dialog.requiresSignIn(agent)) {
+            accessToken = await this.getExtensionToken(context, agent.connectionName, magicCode);
+            if (!accessToken) {
+                return await this.createExtensionSignIn(context, agent.connectionName);
+            }
+        }
+
+        try {
+            const { a2aClient, agentCard } = await this.dialog.createAgentClient(context, agent, accessToken, signal);
+            const skill = skillName && agentCard.skills?.find(candidate =>
+                [candidate.id, candidate.name].some(value => value?.toLowerCase() === skillName.toLowerCase()));
+            if (skillName && !skill) {
+                const skills = (agentCard.skills || []).map(candidate => candidate.id).join(', ') || 'none';
+                return createExtensionMessage(`❔ ${agent.displayName} has no skill '${skillName}'. Skills: ${skills}`);
+            }
+
+            return await this.askAgent(context, { agent, a2aClient, skill, question, parts, signal });
+        } catch (error) {
+            if (signal.aborted) {
+                return createTooLongMessage(agent);
+            }
+            if (error instanceof ConsentRequiredError) {
+                return createExtensionMessage(`🔐 ${agent.displayName} needs your consent first: ${error.consentUrl}`);
+            }
+            // The agent rejected the token: sign in again
+            if (error instanceof AuthenticationRequiredError) {
+                await signOutUser(context, error.connectionName);
+                return await this.createExtensionSignIn(context, error.connectionName);
+            }
+            if (error instanceof TokenValidationError || error instanceof AppAuthError) {
+                return createExtensionMessage(`🔐 ${error.message}`);
+            }
+
+            console.error('TeamsBot: Message extension request failed:', error);
+            return createExtensionMessage(`❌ ${agent.displayName} couldn't answer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Picks the agent and skill for a search: the ones named in an `agent/skill:` prefix, or else the
+     * best skill match among agents whose cards are cached (see SkillRouter), or the default agent.
+     * @param {string} text - The search text.
+     * @returns {{agent: Object, skillName: string|undefined, question: string}} The agent, skill and question.
+     */
+    resolveSearchTarget(text) {
+        const { agentRegistry } = this.dialog;
+        const match = text.match(SEARCH_TARGET_PATTERN);
+        if (match && agentRegistry.get(match[1])) {
+            return { agent: agentRegistry.get(match[1]), skillName: match[2]?.trim(), question: match[3].trim() };
+        }
+
+        if (!this.skillRouter) {
+            return { agent: agentRegistry.getDefault(), question: text };
+        }
+        const candidates = agentRegistry.list()
+            .map(agent => ({ agent, agentCard: this.dialog.agentCardCache.peekCard(agent.cardUrl) }))
+            .filter(candidate => candidate.agentCard);
+        const decision = this.skillRouter.route(text, candidates, agentRegistry.getDefault());
+        return { agent: decision.agent, skillName: decision.skill?.id, question: text };
+    }
+
+    /**
+     * Gets the user's token for a connection in a message extension request: from the token
+     * service (with the code of a sign-in that just finished), or by exchanging the Teams SSO token.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {string} connectionName - The OAuth connection.
+     * @param {string} [magicCode] - The `state` Teams sends after the user signed in.
+     * @returns {Promise<string|undefined>} The token, or undefined when the user has to sign in.
+     */
+    async getExtensionToken(context, connectionName, magicCode) {
+        const token = await getUserToken(context, connectionName, magicCode);
+        if (token) {
+            return token;
+        }
+        return await exchangeSsoToken(context, connectionName, context.activity.value?.authentication?.token);
+    }
+
+    /**
+     * Builds the message extension response that asks the user to sign in. Teams first tries SSO
+     * silently; when it already sent an SSO token that couldn't be exchanged, the sign-in page is shown.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {string} connectionName - The OAuth connection.
+     * @returns {Promise<MessagingExtensionResponse>} The sign-in response.
+     */
+    async createExtensionSignIn(context, connectionName) {
+        const signInLink = await getSignInLink(context, connectionName);
+        return {
+            composeExtension: {
+                type: context.activity.value?.authentication?.token ? 'auth' : 'silentAuth',
+                suggestedActions: {
+                    actions: [{ type: 'openUrl', value: signInLink, title: 'Sign in' }]
+                }
+            }
+        };
+    }
+
+    /**
+     * Asks an agent in one blocking A2A request and turns its answer into message extension results.
+     * Tasks that outlast the Teams time limit or wait for input are left to a chat with the bot.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {Object} options - The request.
+     * @param {Object} options.agent - The agent definition from the registry.
+     * @param {AbortableA2AClient} options.a2aClient - The client for the agent.
+     * @param {Object} [options.skill] - The skill from the agent card, sent as `metadata.skillId`.
+     * @param {string} options.question - What the user asked, shown on the answer cards.
+     * @param {Array<Object>} [options.parts] - The message parts; just the question when omitted.
+     * @param {AbortSignal} options.signal - Aborts the request when Teams is about to give up on the invoke.
+     * @returns {Promise<MessagingExtensionResponse>} The results or a message.
+     */
+    async askAgent(context, { agent, a2aClient, skill, question, parts, signal }) {
+        const sendParams = {
+            message: this.dialog.applyUserIdentity(context, agent, {
+                messageId: uuidv4(),
+                role: "user",
+                parts: parts || [{ kind: "text", text: question }],
+                kind: "message",
+                ...(skill ? { metadata: { skillId: skill.id } } : {})
+            }),
+            configuration: { blocking: true }
+        };
+
+        // The request is aborted when Teams is about to give up, so it doesn't keep running for nobody
+        let response;
+        try {
+            response = await a2aClient.withSignal(signal).sendMessage(sendParams);
+        } catch (error) {
+            if (!signal.aborted) {
+                throw error;
+            }
+        }
+
+        if (!response) {
+            return createTooLongMessage(agent);
+        }
+        if ("error" in response) {
+            return createExtensionMessage(`❌ ${agent.displayName} couldn't answer: ${response.error.message}`);
+        }
+
+        const result = response.result;
+        if (result.kind === "task" && INTERRUPTED_STATES.includes(result.status.state)) {
+            return createExtensionMessage(`✋ ${agent.displayName} needs more from you. Ask it in a chat with the bot instead.`);
+        }
+        if (result.kind === "task" && !isTerminalState(result.status.state)) {
+            return createExtensionMessage(`⏳ ${agent.displayName} is still working on task ${result.id}. Ask it in a chat with the bot instead.`);
+        }
+        if (result.kind === "task" && result.status.state !== 'completed') {
+            const reason = getMessageText(result.status.message);
+            return createExtensionMessage(`❌ ${agent.displayName}'s task ended ${result.status.state}${reason ? `: ${reason}` : '.'}`);
+        }
+
+        const attachments = createAgentResults({ agentName: agent.displayName, skillName: skill?.name, question, result });
+        if (attachments.length === 0) {
+            return createExtensionMessage(`🤷 ${agent.displayName} had no answer for that.`);
+        }
+        return {
+            composeExtension: {
+                type: 'result',
+                attachmentLayout: 'list',
+                attachments
+            }
+        };
     }
 }
 
@@ -51,7 +51,7 @@ class LogoutDialog extends ComponentDialog {
      */
     async interrupt(innerDc) {
         if (innerDc.context.activity.type === ActivityTypes.Message) {
-            const text = innerDc.context.activity.text.toLowerCase();
+            const text = (innerDc.context.activity.text || '').toLowerCase();
             if (text === 'logout') {
                 const userTokenClient = innerDc.context.turnState.get(innerDc.context.adapter.UserTokenClientKey);
                 
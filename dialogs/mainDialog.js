@@ -4,19 +4,37 @@ require('isomorphic-fetch'); // Polyfill for fetch in Node.js environment
 
 const { 
     A2AClient, 
-    AuthenticationHandler, 
-    createAuthenticatingFetchWithRetry 
+    AuthenticationHandler 
 } = require("@a2a-js/sdk/client");
 
 const { ConfirmPrompt, DialogSet, DialogTurnStatus, OAuthPrompt, WaterfallDialog, TextPrompt } = require('botbuilder-dialogs');
 const { LogoutDialog } = require('./logoutDialog');
-const { CardFactory, MessageFactory } = require('botbuilder-core');
+const { INTERRUPTED_STATES, applyThread, getThread, getThreads, isTerminalState, resetThreads, trackEvent } = require('../services/a2aThreads');
+const { getMessageText } = require('../services/a2aParts');
+const { getTaskHistory } = require('../services/taskHistory');
+const { acceptsMimeType, getInputModes } = require('../services/fileAttachments');
+const { getDataPartCard } = require('../services/dataCards');
+const { getAuthRequest } = require('../services/securitySchemes');
+const { AuthenticationRequiredError, createAgentFetch, getUserToken } = require('../services/agentAuth');
+const { ConsentRequiredError, getAgentScopes } = require('../services/tokenBroker');
+const { AppAuthError, AppAuthProvider } = require('../services/appAuth');
+const { AgentCardCache } = require('../services/agentCardCache');
+const { getThreadConversationId, isSharedConversation } = require('../services/sharedConversations');
+const { TokenValidationError, decodeTokenClaims, formatTimeToExpiry, preflightToken, validateTokenClaims } = require('../services/tokenClaims');
+const { createInputRequiredCard } = require('../services/taskCards');
+const { ActiveStream } = require('../services/activeStreams');
+const { ActivityTypes, CardFactory, MessageFactory } = require('botbuilder-core');
 
 const CONFIRM_PROMPT = 'ConfirmPrompt';
 const TEXT_PROMPT = 'TextPrompt';
 const MAIN_DIALOG = 'MainDialog';
 const MAIN_WATERFALL_DIALOG = 'MainWaterfallDialog';
 const OAUTH_PROMPT = 'OAuthPrompt';
+const STEP_UP_DIALOG = 'StepUpDialog';
+const PRIVATE_SIGN_IN_DIALOG = 'PrivateSignInDialog';
+
+// The cache identity of requests sent without credentials
+const ANONYMOUS_IDENTITY = 'anonymous';
 
 /**
  * MainDialog class extends LogoutDialog to handle the main dialog flow.
@@ -24,17 +42,45 @@ const OAUTH_PROMPT = 'OAuthPrompt';
 class MainDialog extends LogoutDialog {
     /**
      * Creates an instance of MainDialog.
-     * @param {string} connectionName - The connection name for the OAuth provider.
+     * @param {AgentRegistry} agentRegistry - The registry of A2A agents the bot can talk to.
+     * @param {Object} [options] - Optional services for following tasks after the turn ends and delivering their results.
+     * @param {PushNotificationService} [options.pushNotifications] - Registers A2A push notifications for tasks.
+     * @param {TaskPoller} [options.taskPoller] - Polls tasks from agents that can't push notifications.
+     * @param {FileAttachmentService} [options.fileAttachments] - Delivers file parts as Teams attachments.
+     * @param {OboTokenBroker} [options.tokenBroker] - Exchanges the user's token for a token for each agent.
+     * @param {AppAuthProvider} [options.appAuth] - Gets app-only tokens for agents configured with `"auth": "app"`.
+     * @param {AgentCardCache} [options.agentCardCache] - Shares agent cards across turns and conversations.
      */
-    constructor() {
+    constructor(agentRegistry, options = {}) {
         super(MAIN_DIALOG, process.env.connectionName);
         console.log('Connection name:', process.env.connectionName);
-        this.addDialog(new OAuthPrompt(OAUTH_PROMPT, {
-            connectionName: process.env.connectionName,
-            text: 'Please Sign In',
-            title: 'Sign In',
-            timeout: 300000
-        }));
+
+        if (!agentRegistry) {
+            throw new Error('[MainDialog]: Missing parameter. agentRegistry is required');
+        }
+        this.agentRegistry = agentRegistry;
+        this.pushNotifications = options.pushNotifications;
+        this.taskPoller = options.taskPoller;
+        this.fileAttachments = options.fileAttachments;
+        this.tokenBroker = options.tokenBroker;
+        this.appAuth = options.appAuth;
+
+        // Agent cards by card URL and identity, so turns don't refetch the card
+        this.agentCardCache = options.agentCardCache || new AgentCardCache();
+        // Agents that take their sign-in from their card read it from the cached cards
+        agentRegistry.useAgentCards(cardUrl => this.agentCardCache.peekCard(cardUrl));
+
+        // Register one OAuthPrompt per OAuth connection used by the configured agents
+        const connectionNames = new Set([process.env.connectionName, ...agentRegistry.connectionNames()]);
+        for (const connectionName of connectionNames) {
+            if (!connectionName) continue;
+            this.addDialog(new OAuthPrompt(this.getOAuthPromptId(connectionName), {
+                connectionName,
+                text: 'Please Sign In',
+                title: 'Sign In',
+                timeout: 300000
+            }));
+        }
         this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
         this.addDialog(new TextPrompt(TEXT_PROMPT));
         this.addDialog(new WaterfallDialog(MAIN_WATERFALL_DIALOG, [
@@ -45,6 +91,16 @@ class MainDialog extends LogoutDialog {
             this.queryMessageStep.bind(this),
             this.handleQueryResponse.bind(this)
         ]));
+        // Signs the user in when a task is auth-required, then hands the task back to be resumed
+        this.addDialog(new WaterfallDialog(STEP_UP_DIALOG, [
+            this.stepUpPromptStep.bind(this),
+            this.stepUpTokenStep.bind(this)
+        ]));
+        // Signs the user in from a personal chat on behalf of a group chat or channel
+        this.addDialog(new WaterfallDialog(PRIVATE_SIGN_IN_DIALOG, [
+            this.privateSignInPromptStep.bind(this),
+            this.privateSignInTokenStep.bind(this)
+        ]));
 
         this.initialDialogId = MAIN_WATERFALL_DIALOG;
     }
@@ -56,8 +112,10 @@ class MainDialog extends LogoutDialog {
      * @param {StatePropertyAccessor} accessor - The state property accessor for the dialog state.
      */
     async run(context, accessor) {
-        // Restore A2A client and token from conversation state if available
-        await this.restoreA2AState(context);
+        // Restore A2A client and token from conversation state if the bot hasn't already done so this turn
+        if (!context.turnState.get('a2aStateRestored')) {
+            await this.restoreA2AState(context);
+        }
 
         const dialogSet = new DialogSet(accessor);
         dialogSet.add(this);
@@ -71,6 +129,271 @@ class MainDialog extends LogoutDialog {
         await this.persistA2AState(context);
     }
 
+    /**
+     * Starts the step-up sign-in instead of the main flow when the dialog is begun for an auth-required task,
+     * or the private sign-in when it is begun in a personal chat for a group chat or channel.
+     * @param {DialogContext} innerDc - The dialog context for the component's inner dialogs.
+     * @param {Object} [options] - The options passed to beginDialog.
+     */
+    async onBeginDialog(innerDc, options) {
+        if (options && options.stepUp) {
+            return await innerDc.beginDialog(STEP_UP_DIALOG, options.stepUp);
+        }
+        if (options && options.privateSignIn) {
+            return await innerDc.beginDialog(PRIVATE_SIGN_IN_DIALOG, options.privateSignIn);
+        }
+        return await super.onBeginDialog(innerDc, options);
+    }
+
+    /**
+     * Gets the OAuthPrompt dialog id for an OAuth connection.
+     * @param {string} connectionName - The OAuth connection name.
+     * @returns {string} The dialog id.
+     */
+    getOAuthPromptId(connectionName) {
+        return connectionName === process.env.connectionName ? OAUTH_PROMPT : `${OAUTH_PROMPT}:${connectionName}`;
+    }
+
+    /**
+     * Gets the agent selected for the current conversation.
+     * @param {TurnContext} context - The turn context
+     * @returns {Object} The agent definition.
+     */
+    getActiveAgent(context) {
+        return context.turnState.get('activeAgent') || this.agentRegistry.getDefault();
+    }
+
+    /**
+     * Handles the agent commands ('agents', 'use <name>', 'use auto', 'new'/'reset', 'whoami' and 'refresh agent') before the 'logout' check falls through.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     */
+    async interrupt(innerDc) {
+        const result = await super.interrupt(innerDc);
+        if (result) {
+            return result;
+        }
+
+        if (innerDc.context.activity.type === ActivityTypes.Message) {
+            const text = (innerDc.context.activity.text || '').trim();
+            if (text.toLowerCase() === 'agents') {
+                await this.displayAgentList(innerDc.context);
+                return await this.resumeAfterCommand(innerDc);
+            }
+
+            if (text.toLowerCase() === 'whoami') {
+                await this.displayWhoAmI(innerDc.context);
+                return await this.resumeAfterCommand(innerDc);
+            }
+
+            if (text.toLowerCase() === 'refresh agent') {
+                await this.refreshAgent(innerDc.context);
+                return await this.resumeAfterCommand(innerDc);
+            }
+
+            if (['new', 'reset'].includes(text.toLowerCase())) {
+                resetThreads(innerDc.context);
+                await innerDc.context.sendActivity('🆕 Started a new conversation. The agent won\'t see your earlier messages.');
+                return await this.resumeAfterCommand(innerDc);
+            }
+
+            const useMatch = /^use\s+(.+)$/i.exec(text);
+            if (useMatch) {
+                return await this.switchAgent(innerDc, useMatch[1].trim());
+            }
+        }
+    }
+
+    /**
+     * Leaves the dialog where it was after a command has been handled. When no dialog
+     * was active yet, the dialog ends so the next message starts the normal flow.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     */
+    async resumeAfterCommand(innerDc) {
+        if (innerDc.activeDialog) {
+            return { status: DialogTurnStatus.waiting };
+        }
+        return await innerDc.cancelAllDialogs();
+    }
+
+    /**
+     * Switches the agent used by the current conversation.
+     * @param {DialogContext} innerDc - The dialog context for the current turn of conversation.
+     * @param {string} agentName - The name of the agent to switch to.
+     */
+    async switchAgent(innerDc, agentName) {
+        const context = innerDc.context;
+        if (agentName.toLowerCase() === 'auto') {
+            context.turnState.set('autoRoute', true);
+            await context.sendActivity('🧭 Automatic routing is on. Each message goes to the agent whose skills match it best.');
+            return await this.resumeAfterCommand(innerDc);
+        }
+
+        const agent = this.agentRegistry.get(agentName);
+        if (!agent) {
+            await context.sendActivity(`❌ Unknown agent '${agentName}'. Type 'agents' to see the available agents.`);
+            return await this.resumeAfterCommand(innerDc);
+        }
+
+        const previousAgent = this.getActiveAgent(context);
+        context.turnState.set('activeAgent', agent);
+        context.turnState.set('autoRoute', false);
+        context.turnState.set('a2aClient', null);
+        context.turnState.set('agentCard', null);
+        context.turnState.set('a2aServerUrl', agent.cardUrl);
+
+        await this.resolveAgentSignIn(agent);
+        const accessToken = context.turnState.get('accessToken');
+        if (!this.requiresSignIn(agent) || (accessToken && agent.connectionName === previousAgent.connectionName)) {
+            // The current sign-in is valid for the new agent, so connect right away
+            await context.sendActivity(`🔀 Switched to **${agent.displayName}**.`);
+            await this.createA2AClientWithAuth(accessToken, context);
+            return await this.resumeAfterCommand(innerDc);
+        }
+
+        // The new agent needs a different sign-in; restart the dialog so the right OAuthPrompt runs
+        context.turnState.set('accessToken', null);
+        await context.sendActivity(`🔀 Switched to **${agent.displayName}**. Send any message to sign in and connect.`);
+        return await innerDc.cancelAllDialogs();
+    }
+
+    /**
+     * Shows the claims of the token the active agent receives (decoded, not verified), its time to
+     * expiry, the connection it came from, and whether it matches the agent's expected claims.
+     * The token itself is never shown
+     * @param {TurnContext} context - The turn context
+     */
+    async displayWhoAmI(context) {
+        const agent = this.getActiveAgent(context);
+        await this.resolveAgentSignIn(agent);
+
+        const facts = [{ title: "Agent", value: agent.displayName }];
+        let token;
+        let notice;
+        try {
+            if (this.isAppOnlyAgent(agent)) {
+                facts.push({ title: "Connection", value: "App-only (the bot's identity)" });
+                token = await this.appAuth.getToken(agent, this.agentCardCache.peekCard(agent.cardUrl));
+            } else if (!agent.connectionName) {
+                facts.push({ title: "Connection", value: "None" });
+                notice = "ℹ️ This agent doesn't need a sign-in, so no token is sent.";
+            } else {
+                facts.push({ title: "Connection", value: agent.connectionName });
+                const userToken = context.turnState.get('accessToken');
+                if (!userToken || context.turnState.get('connectionName') !== agent.connectionName) {
+                    notice = "🔐 You aren't signed in to this agent's connection. Send any message to sign in.";
+                } else {
+                    const { from } = context.activity;
+                    token = await this.getAgentToken(userToken, from.aadObjectId || from.id, agent);
+                    if (token !== userToken) {
+                        facts.push({ title: "Token", value: "Exchanged on your behalf for the agent" });
+                    }
+                }
+            }
+        } catch (error) {
+            notice = `⚠️ Could not get a token for ${agent.displayName}: ${error.message}`;
+        }
+
+        const claims = token && decodeTokenClaims(token);
+        if (token && !claims) {
+            notice = "ℹ️ The token isn't a JWT, so its claims can't be shown.";
+        }
+
+        let check;
+        if (claims) {
+            const list = (value) => Array.isArray(value) ? value.join(', ') : value;
+            facts.push(
+                { title: "Name", value: claims.name || claims.preferred_username || claims.upn || claims.appid || claims.azp || '' },
+                { title: "Object ID", value: claims.oid || '' },
+                { title: "Tenant", value: claims.tid || '' },
+                { title: "Audience", value: list(claims.aud) || '' },
+                { title: "Issuer", value: claims.iss || '' },
+                { title: "Scopes", value: claims.scp || '' },
+                { title: "Roles", value: list(claims.roles) || '' },
+                { title: "Expires", value: claims.exp ? new Date(claims.exp * 1000).toISOString() : '' },
+                { title: "Expires in", value: formatTimeToExpiry(claims) }
+            );
+
+            const problems = validateTokenClaims(claims, agent.expectedClaims);
+            if (problems.length > 0) {
+                check = `⚠️ ${agent.displayName} won't accept this token: ${problems.join('; ')}.`;
+            } else if (agent.expectedClaims) {
+                check = `✅ The token matches what ${agent.displayName} expects.`;
+            } else {
+                check = `ℹ️ No expected claims are configured for ${agent.displayName}; only the expiry was checked.`;
+            }
+        }
+
+        const adaptiveCard = {
+            type: "AdaptiveCard",
+            version: "1.4",
+            body: [
+                {
+                    type: "TextBlock",
+                    text: "🪪 Who am I",
+                    weight: "Bolder",
+                    size: "Large",
+                    color: "Accent"
+                },
+                {
+                    type: "FactSet",
+                    facts: facts.filter(fact => fact.value)
+                },
+                ...[check, notice].filter(Boolean).map(text => ({
+                    type: "TextBlock",
+                    text,
+                    wrap: true
+                })),
+                {
+                    type: "TextBlock",
+                    text: "Claims are decoded without verifying the token; the agent does the real validation.",
+                    wrap: true,
+                    isSubtle: true,
+                    size: "Small"
+                }
+            ]
+        };
+
+        await context.sendActivity(MessageFactory.attachment(CardFactory.adaptiveCard(adaptiveCard)));
+    }
+
+    /**
+     * Displays the configured agents in an adaptive card, marking the active one
+     * @param {TurnContext} context - The turn context
+     */
+    async displayAgentList(context) {
+        const activeAgent = this.getActiveAgent(context);
+        const adaptiveCard = {
+            type: "AdaptiveCard",
+            version: "1.4",
+            body: [
+                {
+                    type: "TextBlock",
+                    text: "🤖 Available Agents",
+                    weight: "Bolder",
+                    size: "Large",
+                    color: "Accent"
+                },
+                {
+                    type: "FactSet",
+                    facts: this.agentRegistry.list().map(agent => ({
+                        title: agent.name === activeAgent.name ? `▶ ${agent.name}` : agent.name,
+                        value: agent.displayName
+                    }))
+                },
+                {
+                    type: "TextBlock",
+                    text: context.turnState.get('autoRoute')
+                        ? "Automatic routing is on. Type `use <name>` to pin an agent."
+                        : "Type `use <name>` to switch agents or `use auto` to route by skill.",
+                    wrap: true,
+                    isSubtle: true
+                }
+            ]
+        };
+
+        await context.sendActivity(MessageFactory.attachment(CardFactory.adaptiveCard(adaptiveCard)));
+    }
+
     /**
      * Prompts the user to sign in.
      * @param {WaterfallStepContext} stepContext - The waterfall step context.
@@ -80,7 +403,21 @@ class MainDialog extends LogoutDialog {
         if (stepContext.options && stepContext.options.continueConversation) {
             return await stepContext.next(); // Skip to login step
         }
-        return await stepContext.beginDialog(OAUTH_PROMPT);
+        const agent = this.getActiveAgent(stepContext.context);
+
+        // Agents that don't need a sign-in are connected to right away
+        await this.resolveAgentSignIn(agent);
+        if (!this.requiresSignIn(agent)) {
+            await this.createA2AClientWithAuth(null, stepContext.context);
+            return await stepContext.endDialog();
+        }
+
+        // Sign-in cards aren't shown to everyone in group chats and channels; the user signs in privately
+        if (isSharedConversation(stepContext.context.activity)) {
+            this.requestPrivateSignIn(stepContext.context, { connectionName: agent.connectionName });
+            return await stepContext.endDialog();
+        }
+        return await stepContext.beginDialog(this.getOAuthPromptId(agent.connectionName));
     }
 
     /**
@@ -104,9 +441,10 @@ class MainDialog extends LogoutDialog {
 
             // Store the access token for use with A2A client
             stepContext.context.turnState.set('accessToken', tokenResponse.token);
+            stepContext.context.turnState.set('connectionName', this.getActiveAgent(stepContext.context).connectionName);
 
             // Create A2A client with authentication
-            await this.createA2AClientWithAuth(tokenResponse.token, stepContext);
+            await this.createA2AClientWithAuth(tokenResponse.token, stepContext.context);
 
             return await stepContext.prompt(CONFIRM_PROMPT, 'Would you like to establish a connection to the agent?');
             // return await stepContext.prompt(CONFIRM_PROMPT, 'Would you like to view your token?');
@@ -116,62 +454,43 @@ class MainDialog extends LogoutDialog {
     }
 
     /**
-     * Creates an A2A client with authentication using the access token
+     * Creates an A2A client for the conversation's active agent with authentication using the access token
+     * (or the bot's app-only token, for app-only agents)
      * @param {string} accessToken - The access token from the login step
-     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     * @param {TurnContext} context - The turn context
      */
-    async createA2AClientWithAuth(accessToken, stepContext) {
+    async createA2AClientWithAuth(accessToken, context) {
         try {
-            // Create an authentication handler that adds the Bearer token
-            const authHandler = {
-                // Add authorization header to every request
-                headers: async () => ({
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                }),
-
-                // Handle token refresh if needed (401 responses)
-                shouldRetryWithHeaders: async (req, res) => {
-                    if (res.status === 401) {
-                        // In a real scenario, you might want to refresh the token here
-                        // For now, we'll just return undefined to not retry
-                        await stepContext.context.sendActivity('Authentication failed. Token may have expired. Please login again.');
-                        return undefined;
-                    }
-                    return undefined;
-                },
-            };
+            // Connect to the agent selected for this conversation (see AgentRegistry for configuration)
+            const agent = this.getActiveAgent(context);
+            const a2aServerUrl = agent.cardUrl;
 
-            // Create the authenticated fetch function
-            const authFetch = createAuthenticatingFetchWithRetry(fetch, authHandler);
-
-            // Use the existing agent endpoint configuration or fallback to default
-            // You can add A2A_AGENT_CARD_URL to your .env file pointing to your A2A agent's card URL
-            const a2aServerUrl = process.env.A2A_AGENT_CARD_URL || 
-                                process.env.AgentEndpointURL + "/.well-known/agent-card.json" || 
-                                "http://localhost:4000/.well-known/agent-card.json";
-            
-            console.log(`Configuring A2A client for: ${a2aServerUrl}`);
+            console.log(`Configuring A2A client for ${agent.name}: ${a2aServerUrl}`);
             
-            // Create A2A client with authenticated fetch
-            const a2aClient = await A2AClient.fromCardUrl(a2aServerUrl, { fetchImpl: authFetch });
-            
-            // Get agent card details
-            const agentCard = await a2aClient.getAgentCard();
+            // Create A2A client with authenticated fetch (the card comes from the cache while it is fresh)
+            const { a2aClient, agentCard } = await this.createAgentClient(context, agent, accessToken);
             
             // Store the client, agent card, and server URL for later use
-            stepContext.context.turnState.set('a2aClient', a2aClient);
-            stepContext.context.turnState.set('agentCard', agentCard);
-            stepContext.context.turnState.set('a2aServerUrl', a2aServerUrl);
+            context.turnState.set('a2aClient', a2aClient);
+            context.turnState.set('agentCard', agentCard);
+            context.turnState.set('a2aServerUrl', a2aServerUrl);
+            context.turnState.set('activeAgent', agent);
+            if (accessToken) {
+                context.turnState.set('connectionName', agent.connectionName);
+            }
             
             // Display agent card in adaptive card format
-            await this.displayAgentCard(agentCard, stepContext);
+            await this.displayAgentCard(agentCard, context);
             
-            await stepContext.context.sendActivity(`✅ A2A client configured with authentication for: ${a2aServerUrl}`);
+            await context.sendActivity(`✅ A2A client configured with authentication for ${agent.displayName}: ${a2aServerUrl}`);
             
         } catch (error) {
+            if (error instanceof ConsentRequiredError) {
+                await this.sendConsentPrompt(context, error);
+                return;
+            }
             console.error('Error creating A2A client:', error);
-            await stepContext.context.sendActivity(`❌ Error configuring A2A client: ${error.message}. Please ensure the A2A server is running and accessible.`);
+            await context.sendActivity(`❌ Error configuring A2A client: ${error.message}. Please ensure the A2A server is running and accessible.`);
         }
     }
 
@@ -187,28 +506,44 @@ class MainDialog extends LogoutDialog {
             const a2aStateProperty = conversationState.createProperty('a2aState');
             const a2aState = await a2aStateProperty.get(context, {});
 
-            if (a2aState.accessToken && a2aState.a2aServerUrl) {
-                // Restore access token
-                context.turnState.set('accessToken', a2aState.accessToken);
-                context.turnState.set('a2aServerUrl', a2aState.a2aServerUrl);
-                
-                // Recreate A2A client
-                const authHandler = {
-                    headers: async () => ({
-                        Authorization: `Bearer ${a2aState.accessToken}`,
-                        'Content-Type': 'application/json',
-                    }),
-                    shouldRetryWithHeaders: async (req, res) => {
-                        if (res.status === 401) {
-                            return undefined;
-                        }
-                        return undefined;
-                    },
-                };
+            // Restore the agent selected for this conversation
+            const agent = this.agentRegistry.resolve(a2aState.activeAgent);
+            context.turnState.set('activeAgent', agent);
+            context.turnState.set('a2aServerUrl', agent.cardUrl);
+
+            // Restore the contextId/taskId the conversation has with each agent
+            context.turnState.set('a2aThreads', { ...a2aState.threads });
+
+            // A step-up sign-in for an auth-required task may be waiting for the user
+            context.turnState.set('a2aStepUp', a2aState.stepUp || null);
+
+            // Restore the user's task history for the 'tasks' card
+            const userState = context.turnState.get('userState');
+            if (userState) {
+                const taskHistory = await userState.createProperty('a2aTaskHistory').get(context, []);
+                context.turnState.set('a2aTaskHistory', [...taskHistory]);
+            }
+
+            // Skill-based routing is on unless the conversation pinned an agent with 'use <name>' or A2A_AUTO_ROUTING=false
+            context.turnState.set('autoRoute', a2aState.autoRoute ?? process.env.A2A_AUTO_ROUTING !== 'false');
+
+            // Tokens aren't stored: once the conversation has signed in to the active agent's connection,
+            // get the speaking user's token from the token service. In group chats and channels users sign
+            // in privately, so their token for the agent's connection is looked up directly
+            await this.resolveAgentSignIn(agent);
+            const connectionName = isSharedConversation(context.activity) ? agent.connectionName : a2aState.connectionName;
+            const accessToken = connectionName === agent.connectionName
+                ? await getUserToken(context, connectionName)
+                : undefined;
+            if (accessToken) {
+                context.turnState.set('accessToken', accessToken);
+                context.turnState.set('connectionName', connectionName);
+            }
 
-                const authFetch = createAuthenticatingFetchWithRetry(fetch, authHandler);
-                const a2aClient = await A2AClient.fromCardUrl(a2aState.a2aServerUrl, { fetchImpl: authFetch });
-                const agentCard = await a2aClient.getAgentCard();
+            // App-only and anonymous agents don't need the user to be signed in
+            if (accessToken || !this.requiresSignIn(agent)) {
+                // Recreate A2A client
+                const { a2aClient, agentCard } = await this.createAgentClient(context, agent, accessToken);
 
                 context.turnState.set('a2aClient', a2aClient);
                 context.turnState.set('agentCard', agentCard);
@@ -216,6 +551,430 @@ class MainDialog extends LogoutDialog {
         } catch (error) {
             console.error('Error restoring A2A state:', error);
             // Don't throw - just continue without restored state
+        } finally {
+            context.turnState.set('a2aStateRestored', true);
+        }
+    }
+
+    /**
+     * Creates the fetch used by A2A clients: it sends the agent's token and, on a 401, silently gets a
+     * fresh token for the connection and retries once (see createAgentFetch). With a token broker, the
+     * user's token is exchanged on-behalf-of for the agent's scopes, which come from the agent's
+     * configuration or, once it has been fetched, its card. App-only agents get the bot's own token instead,
+     * and agents without a connection get no token at all
+     * @param {TurnContext} context - The turn context
+     * @param {Object} agent - The agent definition from the registry
+     * @param {string} accessToken - The user's access token for the agent's connection
+     * @returns {Function} The fetch implementation
+     */
+    createAgentFetch(context, agent, accessToken) {
+        if (this.isAppOnlyAgent(agent)) {
+            return this.appAuth.createFetch(agent, () => this.agentCardCache.peekCard(agent.cardUrl));
+        }
+        if (!agent.connectionName) {
+            // The agent's card declares no security
+            return fetch;
+        }
+
+        const { from } = context.activity;
+        const userId = from.aadObjectId || from.id;
+
+        // Tokens the agent would reject anyway (see preflightToken) aren't sent
+        return createAgentFetch(context, agent.connectionName, accessToken, (token) => {
+            context.turnState.set('accessToken', token);
+        }, async (userToken) => preflightToken(await this.getAgentToken(userToken, userId, agent), agent));
+    }
+
+    /**
+     * Checks whether an agent is called with the bot's app-only token rather than the user's
+     * @param {Object} agent - The agent definition from the registry
+     * @returns {boolean} True when no user sign-in is needed for the agent
+     */
+    isAppOnlyAgent(agent) {
+        return Boolean(this.appAuth) && AppAuthProvider.isAppOnlyAgent(agent);
+    }
+
+    /**
+     * Checks whether the user has to sign in before the bot can call an agent: app-only agents use the
+     * bot's token, and agents whose card declares no security have no connection
+     * @param {Object} agent - The agent definition from the registry
+     * @returns {boolean} True when the agent needs the user's token
+     */
+    requiresSignIn(agent) {
+        return !this.isAppOnlyAgent(agent) && Boolean(agent.connectionName);
+    }
+
+    /**
+     * Makes sure the card of an agent that takes its sign-in from its card has been read (see
+     * AgentRegistry.getCardConnectionName). The card is read without credentials the first time, since
+     * the bot can't know which sign-in to ask for before it has the card
+     * @param {Object} agent - The agent definition from the registry
+     * @param {AbortSignal} [signal] - Stops waiting for the card, e.g. when a message extension's time is up
+     */
+    async resolveAgentSignIn(agent, signal) {
+        if (!agent.connectionFromCard || this.agentCardCache.peekCard(agent.cardUrl)) return;
+
+        try {
+            await this.agentCardCache.getCard(agent.cardUrl, ANONYMOUS_IDENTITY, fetch, signal);
+        } catch (error) {
+            // Keep the default connection; the card is fetched again with credentials after sign-in
+            console.log(`MainDialog: Could not read the agent card of ${agent.name} before sign-in:`, error.message);
+        }
+    }
+
+    /**
+     * Tags an outgoing message to an app-only agent with the Teams user it is sent for, since the
+     * agent's token only identifies the bot
+     * @param {TurnContext} context - The turn context
+     * @param {Object} agent - The agent definition from the registry
+     * @param {Object} message - The A2A message
+     * @returns {Object} The message
+     */
+    applyUserIdentity(context, agent, message) {
+        if (!this.isAppOnlyAgent(agent)) {
+            return message;
+        }
+
+        const { from, conversation } = context.activity;
+        message.metadata = {
+            ...message.metadata,
+            onBehalfOf: {
+                userId: from.aadObjectId || from.id,
+                name: from.name,
+                tenantId: conversation?.tenantId
+            }
+        };
+        return message;
+    }
+
+    /**
+     * Gets the token sent to an agent: the user's token exchanged on-behalf-of for the agent's scopes,
+     * or the user's token itself when there is no token broker or the agent has no scopes
+     * @param {string} userToken - The user's access token for the agent's connection
+     * @param {string} userId - The user the token belongs to
+     * @param {Object} agent - The agent definition from the registry
+     * @returns {Promise<string>} The token for the agent
+     */
+    async getAgentToken(userToken, userId, agent) {
+        const scopes = getAgentScopes(agent, this.agentCardCache.peekCard(agent.cardUrl));
+        if (!this.tokenBroker || scopes.length === 0) {
+            return userToken;
+        }
+        return await this.tokenBroker.getAgentToken(userToken, userId, agent, scopes);
+    }
+
+    /**
+     * Asks the user to consent to the bot calling an agent on their behalf. The sign-in is kept,
+     * so the user only has to send their message again afterwards
+     * @param {TurnContext} context - The turn context
+     * @param {ConsentRequiredError} error - The error with the agent, scopes and consent page
+     */
+    async sendConsentPrompt(context, error) {
+        console.log(`MainDialog: Consent required for ${error.agent.name}: ${error.scopes.join(' ')}`);
+        const card = CardFactory.adaptiveCard({
+            type: "AdaptiveCard",
+            version: "1.4",
+            body: [
+                {
+                    type: "TextBlock",
+                    text: "🔐 Consent required",
+                    weight: "Bolder",
+                    size: "Medium"
+                },
+                {
+                    type: "TextBlock",
+                    text: `**${error.agent.displayName}** needs your permission to act on your behalf.`,
+                    wrap: true
+                },
+                {
+                    type: "FactSet",
+                    facts: [{ title: "Permissions", value: error.scopes.join(', ') }]
+                },
+                {
+                    type: "TextBlock",
+                    text: "Grant consent, then send your message again.",
+                    isSubtle: true,
+                    wrap: true
+                }
+            ],
+            actions: [
+                {
+                    type: "Action.OpenUrl",
+                    title: "Grant consent",
+                    url: error.consentUrl
+                }
+            ]
+        });
+        await context.sendActivity(MessageFactory.attachment(card));
+    }
+
+    /**
+     * Forgets a token the agent still rejected after a refresh, and signs the user out of the
+     * connection so the next OAuth prompt asks them to sign in instead of returning the same token
+     * @param {TurnContext} context - The turn context
+     * @param {string} connectionName - The OAuth connection the token came from
+     */
+    async clearRejectedToken(context, connectionName) {
+        context.turnState.set('accessToken', null);
+        context.turnState.set('a2aClient', null);
+
+        try {
+            const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+            const { activity } = context;
+            await userTokenClient.signOutUser(activity.from.id, connectionName, activity.channelId);
+        } catch (error) {
+            console.log('Sign-out after rejected token failed:', error.message);
+        }
+
+        await context.sendActivity('🔐 The agent didn\'t accept your sign-in. Please sign in again.');
+    }
+
+    /**
+     * Gets an authenticated A2A client for an agent from the agent card cache (see AgentCardCache),
+     * which only fetches the card again once it is stale
+     * @param {TurnContext} context - The turn context
+     * @param {Object} agent - The agent definition from the registry
+     * @param {string} accessToken - The access token for the agent's connection
+     * @param {AbortSignal} [signal] - Stops waiting for the card (and the token exchange made to fetch it);
+     * the client itself isn't bound to it
+     * @returns {Promise<{a2aClient: A2AClient, agentCard: Object}>} The client and the agent card
+     */
+    async createAgentClient(context, agent, accessToken, signal) {
+        const authFetch = this.createAgentFetch(context, agent, accessToken);
+        const { a2aClient, agentCard } = await this.agentCardCache.getClient(agent.cardUrl, this.getAuthIdentity(context, agent), authFetch, signal);
+
+        return { a2aClient, agentCard };
+    }
+
+    /**
+     * Names who the bot calls an agent as, so cached cards aren't shared between callers
+     * @param {TurnContext} context - The turn context
+     * @param {Object} agent - The agent definition from the registry
+     * @returns {string} The identity: the app-only agent, anonymous, or the connection, user and any extra scopes
+     */
+    getAuthIdentity(context, agent) {
+        if (this.isAppOnlyAgent(agent)) {
+            return `app:${agent.name}`;
+        }
+        if (!agent.connectionName) {
+            return ANONYMOUS_IDENTITY;
+        }
+
+        const { from } = context.activity;
+        const scopes = agent.scopes ? `:${[].concat(agent.scopes).join(' ')}` : '';
+        return `user:${agent.connectionName}:${from.aadObjectId || from.id}${scopes}`;
+    }
+
+    /**
+     * Fetches the active agent's card again instead of waiting for the cached one to go stale, and
+     * reconnects with it
+     * @param {TurnContext} context - The turn context
+     */
+    async refreshAgent(context) {
+        const agent = this.getActiveAgent(context);
+        this.agentCardCache.invalidate(agent.cardUrl);
+        context.turnState.set('a2aClient', null);
+        context.turnState.set('agentCard', null);
+
+        const accessToken = context.turnState.get('accessToken');
+        await this.resolveAgentSignIn(agent);
+        if (this.requiresSignIn(agent) && (!accessToken || context.turnState.get('connectionName') !== agent.connectionName)) {
+            await context.sendActivity(`🔄 ${agent.displayName}'s card will be fetched again when you sign in.`);
+            return;
+        }
+
+        try {
+            const { a2aClient, agentCard } = await this.createAgentClient(context, agent, accessToken);
+            context.turnState.set('a2aClient', a2aClient);
+            context.turnState.set('agentCard', agentCard);
+            await context.sendActivity(`🔄 Reloaded ${agent.displayName}'s agent card (version ${agentCard.version || 'unknown'}).`);
+        } catch (error) {
+            if (error instanceof ConsentRequiredError) {
+                await this.sendConsentPrompt(context, error);
+                return;
+            }
+            console.error('MainDialog: Refreshing the agent card failed:', error);
+            await context.sendActivity(`❌ Couldn't reload ${agent.displayName}'s agent card: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the agents that can be reached with the current sign-in, with their agent cards, so a message
+     * can be routed to any of them. Cards already in the cache are used as they are; an agent's card is
+     * only fetched when none has been seen yet. No clients are built: see getClientForAgent
+     * @param {TurnContext} context - The turn context
+     * @returns {Promise<Array<{agent: Object, agentCard: Object}>>} The routing candidates
+     */
+    async getRoutingCandidates(context) {
+        const accessToken = context.turnState.get('accessToken');
+        const activeAgent = this.getActiveAgent(context);
+        const candidates = [];
+
+        for (const agent of this.agentRegistry.list()) {
+            try {
+                if (!await this.canCallAgent(context, agent)) continue;
+
+                const agentCard = (agent.name === activeAgent.name && context.turnState.get('agentCard')) ||
+                    this.agentCardCache.peekCard(agent.cardUrl) ||
+                    await this.agentCardCache.getCard(agent.cardUrl, this.getAuthIdentity(context, agent), this.createAgentFetch(context, agent, accessToken));
+                candidates.push({ agent, agentCard });
+            } catch (error) {
+                console.error(`Error loading agent card for ${agent.name}:`, error);
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Checks whether an agent can be called with the current sign-in
+     * @param {TurnContext} context - The turn context
+     * @param {Object} agent - The agent definition from the registry
+     * @returns {Promise<boolean>} False when the agent needs another sign-in
+     */
+    async canCallAgent(context, agent) {
+        const accessToken = context.turnState.get('accessToken');
+        const connectionName = context.turnState.get('connectionName');
+
+        // A token from one connection can't be used with agents that expect another
+        await this.resolveAgentSignIn(agent);
+        return !this.requiresSignIn(agent) || Boolean(accessToken && agent.connectionName === connectionName);
+    }
+
+    /**
+     * Gets a client for any registered agent that can be reached with the current sign-in
+     * @param {TurnContext} context - The turn context
+     * @param {Object} agent - The agent definition from the registry
+     * @returns {Promise<{agentCard: Object, a2aClient: A2AClient}|undefined>} The client, or undefined when the agent needs another sign-in
+     */
+    async getClientForAgent(context, agent) {
+        if (!await this.canCallAgent(context, agent)) {
+            return undefined;
+        }
+
+        if (agent.name === this.getActiveAgent(context).name && context.turnState.get('a2aClient')) {
+            return {
+                agentCard: context.turnState.get('agentCard'),
+                a2aClient: context.turnState.get('a2aClient')
+            };
+        }
+
+        return await this.createAgentClient(context, agent, context.turnState.get('accessToken'));
+    }
+
+    /**
+     * Builds the parts of a message to an agent: the text, plus the files attached to the Teams
+     * message. Files the agent doesn't accept (by its card's input modes) or that can't be read are
+     * left out, and the user is told why.
+     * @param {TurnContext} context - The turn context
+     * @param {string} text - The message text
+     * @param {Object} agent - The agent definition from the registry
+     * @param {Object} agentCard - The agent card
+     * @param {Object} [skill] - The skill the message was routed to
+     * @returns {Promise<Array<Object>>} The message parts; empty when there is nothing to send
+     */
+    async createMessageParts(context, text, agent, agentCard, skill) {
+        const parts = text ? [{ kind: "text", text }] : [];
+        if (!this.fileAttachments || !context.activity.attachments?.length) {
+            return parts;
+        }
+
+        const inputModes = getInputModes(agentCard, skill);
+        for (const file of await this.fileAttachments.readTeamsAttachments(context)) {
+            if (file.error) {
+                await context.sendActivity(`⚠️ ${file.name} was not sent to ${agent.displayName}: ${file.error}`);
+                continue;
+            }
+            if (inputModes && !acceptsMimeType(file.mimeType, inputModes)) {
+                await context.sendActivity(`⚠️ ${agent.displayName} doesn't accept ${file.mimeType} files, so ${file.name} was not sent.`);
+                continue;
+            }
+
+            parts.push({
+                kind: "file",
+                file: {
+                    name: file.name,
+                    mimeType: file.mimeType,
+                    bytes: file.content.toString('base64')
+                }
+            });
+        }
+
+        return parts;
+    }
+
+    /**
+     * Asks the agent to post task updates to the bot's notification webhook, when the agent card
+     * advertises `capabilities.pushNotifications`
+     * @param {TurnContext} context - The turn context
+     * @param {string} agentName - The name of the agent receiving the message
+     * @param {A2AClient} a2aClient - The client for the agent
+     * @param {Object} sendParams - The message parameters to add the push notification config to
+     */
+    async applyPushNotificationConfig(context, agentName, a2aClient, sendParams) {
+        if (!this.pushNotifications) return;
+
+        try {
+            const agentCard = await a2aClient.getAgentCard();
+            const pushNotificationConfig = await this.pushNotifications.createConfig(context, agentName, agentCard);
+            if (pushNotificationConfig) {
+                sendParams.configuration = { ...sendParams.configuration, pushNotificationConfig };
+            }
+        } catch (error) {
+            console.error('Error registering push notifications:', error);
+            // Don't throw - the message can still be sent without notifications
+        }
+    }
+
+    /**
+     * Follows a task that is still running when the turn ends: the agent's push notification
+     * reports the result when one was registered, otherwise the task poller checks on it
+     * @param {TurnContext} context - The turn context
+     * @param {A2AClient} a2aClient - The client for the agent that owns the task
+     * @param {Object} task - The task
+     * @param {string} agentName - The name of the agent that owns the task
+     * @param {Object} sendParams - The message parameters that created or continued the task
+     */
+    async followUpTask(context, a2aClient, task, agentName, sendParams) {
+        if (sendParams.configuration?.pushNotificationConfig) {
+            await context.sendActivity(`⏳ Task is ${task.status.state}. The agent will notify when complete.`);
+            return;
+        }
+
+        if (this.taskPoller) {
+            const agent = this.agentRegistry.get(agentName);
+            await this.taskPoller.start(context, {
+                a2aClient,
+                task,
+                agentName,
+                agentDisplayName: agent ? agent.displayName : agentName
+            });
+            return;
+        }
+
+        await context.sendActivity(`⏳ Task is ${task.status.state}.`);
+    }
+
+    /**
+     * Settles the push notification registration of a message once the turn has shown the response,
+     * so notifications only post what the user hasn't seen yet. Finished tasks won't notify again, so
+     * their registration is released; one for a task waiting on the user is kept for its later updates
+     * @param {Object} sendParams - The message parameters that carried the push notification config
+     * @param {Object} [task] - The task the agent created, if any
+     */
+    async settlePushNotification(sendParams, task) {
+        const registrationId = sendParams.configuration?.pushNotificationConfig?.id;
+        if (!this.pushNotifications || !registrationId) return;
+
+        try {
+            if (!task || isTerminalState(task.status.state)) {
+                // A direct message response or a finished task: nothing will notify
+                await this.pushNotifications.release(registrationId);
+            } else if (INTERRUPTED_STATES.includes(task.status.state)) {
+                await this.pushNotifications.markDelivered(registrationId);
+            }
+        } catch (error) {
+            console.error('Error settling push notification registration:', error);
         }
     }
 
@@ -228,15 +987,24 @@ class MainDialog extends LogoutDialog {
             const conversationState = context.turnState.get('conversationState');
             if (!conversationState) return;
 
-            const accessToken = context.turnState.get('accessToken');
-            const a2aServerUrl = context.turnState.get('a2aServerUrl');
+            const a2aStateProperty = conversationState.createProperty('a2aState');
+            // Never store the token (and drop one saved by an earlier version); only the connection is kept
+            const { accessToken: _storedToken, ...a2aState } = await a2aStateProperty.get(context, {});
+            const activeAgent = this.getActiveAgent(context);
 
-            if (accessToken && a2aServerUrl) {
-                const a2aStateProperty = conversationState.createProperty('a2aState');
-                await a2aStateProperty.set(context, {
-                    accessToken,
-                    a2aServerUrl
-                });
+            await a2aStateProperty.set(context, {
+                ...a2aState,
+                connectionName: context.turnState.get('connectionName') || a2aState.connectionName || null,
+                a2aServerUrl: context.turnState.get('a2aServerUrl') || activeAgent.cardUrl,
+                activeAgent: activeAgent.name,
+                autoRoute: context.turnState.get('autoRoute') ?? a2aState.autoRoute,
+                threads: getThreads(context),
+                stepUp: context.turnState.get('a2aStepUp') || null
+            });
+
+            const userState = context.turnState.get('userState');
+            if (userState) {
+                await userState.createProperty('a2aTaskHistory').set(context, getTaskHistory(context));
             }
         } catch (error) {
             console.error('Error persisting A2A state:', error);
@@ -258,7 +1026,8 @@ class MainDialog extends LogoutDialog {
 
         const result = stepContext.result;
         if (result) {
-            return await stepContext.beginDialog(OAUTH_PROMPT);
+            const agent = this.getActiveAgent(stepContext.context);
+            return await stepContext.beginDialog(this.getOAuthPromptId(agent.connectionName));
         }
         return await stepContext.endDialog();
     }
@@ -335,9 +1104,9 @@ class MainDialog extends LogoutDialog {
     /**
      * Displays the agent card details in an adaptive card
      * @param {Object} agentCard - The agent card details
-     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     * @param {TurnContext} context - The turn context
      */
-    async displayAgentCard(agentCard, stepContext) {
+    async displayAgentCard(agentCard, context) {
         const adaptiveCard = {
             type: "AdaptiveCard",
             version: "1.4",
@@ -481,7 +1250,7 @@ class MainDialog extends LogoutDialog {
         };
 
         const cardActivity = MessageFactory.attachment(CardFactory.adaptiveCard(adaptiveCard));
-        await stepContext.context.sendActivity(cardActivity);
+        await context.sendActivity(cardActivity);
     }
 
     /**
@@ -513,6 +1282,13 @@ class MainDialog extends LogoutDialog {
 
         try {
             await this.sendMessageWithPolling(a2aClient, userMessage, stepContext);
+
+            // The task is auth-required: sign in before it can go on
+            const stepUp = stepContext.context.turnState.get('a2aPendingAuth');
+            if (stepUp) {
+                stepContext.context.turnState.set('a2aPendingAuth', null);
+                return await stepContext.replaceDialog(STEP_UP_DIALOG, stepUp);
+            }
             
             // Continue the conversation - prompt for another message
             return await stepContext.replaceDialog(MAIN_WATERFALL_DIALOG, { 
@@ -521,6 +1297,21 @@ class MainDialog extends LogoutDialog {
             });
             
         } catch (error) {
+            // The sign-in is fine, but the user has to consent before the bot can call the agent
+            if (error instanceof ConsentRequiredError) {
+                await this.sendConsentPrompt(stepContext.context, error);
+                return await stepContext.replaceDialog(MAIN_WATERFALL_DIALOG, {
+                    skipAuth: true,
+                    continueConversation: true
+                });
+            }
+
+            // The agent rejected the token and a silent refresh didn't help: sign in again
+            if (error instanceof AuthenticationRequiredError) {
+                await this.clearRejectedToken(stepContext.context, error.connectionName);
+                return await stepContext.replaceDialog(MAIN_WATERFALL_DIALOG);
+            }
+
             console.error('Error handling query response:', error);
             await stepContext.context.sendActivity(`❌ Error processing your message: ${error.message}`);
             return await stepContext.endDialog();
@@ -535,66 +1326,99 @@ class MainDialog extends LogoutDialog {
      */
     async sendMessageWithPolling(a2aClient, userMessage, stepContext) {
         const { v4: uuidv4 } = require('uuid');
+        const agent = this.getActiveAgent(stepContext.context);
         
         const sendParams = {
-            message: {
+            // Continue the conversation's A2A context (and any task waiting on the user)
+            message: this.applyUserIdentity(stepContext.context, agent, applyThread(stepContext.context, agent.name, {
                 messageId: uuidv4(),
                 role: "user",
-                parts: [{ kind: "text", text: userMessage }],
+                parts: await this.createMessageParts(stepContext.context, userMessage, agent, stepContext.context.turnState.get('agentCard')),
                 kind: "message",
-            },
+            })),
         };
+
+        // Ask the agent to notify the bot if the task finishes after this turn
+        await this.applyPushNotificationConfig(stepContext.context, agent.name, a2aClient, sendParams);
         
         try {
             // Use streaming to handle all responses (messages and tasks)
             // This avoids the body consumption issue and provides real-time updates
             console.log('Agent: Using streaming response for real-time updates');
-            await this.handleStreamingResponse(a2aClient, sendParams, stepContext);
+            await this.handleStreamingResponse(stepContext.context, a2aClient, sendParams, agent.name);
             
         } catch (error) {
+            if (error instanceof AuthenticationRequiredError || error instanceof TokenValidationError || error instanceof AppAuthError) {
+                throw error;
+            }
             throw new Error(`Failed to communicate with A2A agent: ${error.message}`);
         }
     }
 
     /**
-     * Handles streaming response from A2A agent
+     * Handles streaming response from A2A agent. Used for every message the bot sends, from the
+     * dialog and from DialogBot. When the stream fails after the agent created a task, the task is
+     * followed (see recoverTask) rather than the message sent again, which would start a second task
+     * @param {TurnContext} context - The context object
      * @param {A2AClient} a2aClient - The A2A client
      * @param {Object} sendParams - The message parameters
-     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     * @param {string} agentName - The name of the agent receiving the message
      */
-    async handleStreamingResponse(a2aClient, sendParams, stepContext) {
+    async handleStreamingResponse(context, a2aClient, sendParams, agentName) {
+        let activeStream = null;
+        let receivedEvents = false;
+
         try {
             console.log('MainDialog: Starting streaming response...');
             
             // Send initial typing indicator
-            await stepContext.context.sendActivity({ type: 'typing' });
-            
-            const stream = a2aClient.sendMessageStream(sendParams);
+            await context.sendActivity({ type: 'typing' });
             
             let accumulatedText = '';
             let currentTask = null;
-            let receivedEvents = false;
             let lastArtifacts = [];
             let messageActivity = null;
             let updateCount = 0;
             const UPDATE_INTERVAL = 5; // Update UI every 5 events for smooth streaming
             let isCompleted = false;
+            let awaitingInput = false;
             
             // Set up periodic typing indicator while streaming
             const typingInterval = setInterval(async () => {
                 if (!isCompleted) {
                     try {
-                        await stepContext.context.sendActivity({ type: 'typing' });
+                        await context.sendActivity({ type: 'typing' });
                     } catch (error) {
                         console.log('MainDialog: Typing indicator failed:', error.message);
                     }
                 }
             }, 2000); // Send typing every 2 seconds
+
+            // Track the stream so the Cancel button or the 'cancel' command can stop it from another turn
+            activeStream = new ActiveStream({
+                conversationId: getThreadConversationId(context.activity),
+                userId: context.activity.from?.id,
+                agentName,
+                agentDisplayName: this.agentRegistry.get(agentName)?.displayName,
+                a2aClient,
+                onStop: () => {
+                    isCompleted = true;
+                    clearInterval(typingInterval);
+                }
+            });
+            const stream = activeStream.sendMessageStream(sendParams);
             
             try {
-                for await (const event of stream) {
+                for await (const event of activeStream.iterate(stream)) {
                     receivedEvents = true;
                     console.log(`MainDialog: Received event:`, event.kind);
+                    trackEvent(context, agentName, event);
+
+                    // Show the task's progress card (with its Cancel button) once the task id is known
+                    activeStream.attachTask(event.kind === "task" ? event.id : event.taskId);
+                    if (event.kind === "task" || event.kind === "status-update") {
+                        await activeStream.showProgress(context, event.status.state);
+                    }
                     
                     if (event.kind === "message") {
                     // Direct message response
@@ -606,12 +1430,12 @@ class MainDialog extends LogoutDialog {
                         // Update or send the message in Teams
                         if (!messageActivity) {
                             // Send initial message
-                            const response = await stepContext.context.sendActivity(`🤖 ${accumulatedText}`);
+                            const response = await context.sendActivity(`🤖 ${accumulatedText}`);
                             messageActivity = response;
                         } else if (updateCount % UPDATE_INTERVAL === 0) {
                             // Update existing message periodically for smooth streaming
                             try {
-                                await stepContext.context.updateActivity({
+                                await context.updateActivity({
                                     ...messageActivity,
                                     text: `🤖 ${accumulatedText}`,
                                     type: 'message'
@@ -621,6 +1445,9 @@ class MainDialog extends LogoutDialog {
                             }
                         }
                     }
+
+                    // Files and structured data in the message
+                    await this.sendRichParts(context, event.parts, agentName, event);
                 } else if (event.kind === "task") {
                     // Initial task creation
                     currentTask = event;
@@ -630,6 +1457,14 @@ class MainDialog extends LogoutDialog {
                     if (event.artifacts && event.artifacts.length > 0) {
                         lastArtifacts = event.artifacts;
                     }
+
+                    // The task may already be waiting on the user when it is created
+                    if (INTERRUPTED_STATES.includes(event.status.state)) {
+                        isCompleted = true;
+                        clearInterval(typingInterval);
+                        awaitingInput = true;
+                        await this.sendInputRequest(context, event.id, event.status, agentName);
+                    }
                 } else if (event.kind === "status-update") {
                     // Task status changed
                     console.log(`MainDialog: Task status update: ${event.status.state}`);
@@ -646,7 +1481,7 @@ class MainDialog extends LogoutDialog {
                         if (accumulatedText && messageActivity) {
                             console.log('MainDialog: Sending final update');
                             try {
-                                await stepContext.context.updateActivity({
+                                await context.updateActivity({
                                     ...messageActivity,
                                     text: `🤖 ${accumulatedText}`,
                                     type: 'message'
@@ -656,6 +1491,15 @@ class MainDialog extends LogoutDialog {
                             }
                         }
                     }
+
+                    // The agent needs more information or a sign-in: ask the user and keep the task open for their reply
+                    if (INTERRUPTED_STATES.includes(event.status.state)) {
+                        console.log(`MainDialog: Task ${event.taskId} is waiting for user input`);
+                        isCompleted = true;
+                        clearInterval(typingInterval);
+                        awaitingInput = true;
+                        await this.sendInputRequest(context, event.taskId, event.status, agentName);
+                    }
                 } else if (event.kind === "artifact-update") {
                     // New artifact added to task
                     console.log(`MainDialog: Artifact update received`);
@@ -668,11 +1512,11 @@ class MainDialog extends LogoutDialog {
                                 
                                 // Update message with artifact text
                                 if (!messageActivity) {
-                                    const response = await stepContext.context.sendActivity(`🤖 ${accumulatedText}`);
+                                    const response = await context.sendActivity(`🤖 ${accumulatedText}`);
                                     messageActivity = response;
                                 } else if (updateCount % UPDATE_INTERVAL === 0) {
                                     try {
-                                        await stepContext.context.updateActivity({
+                                        await context.updateActivity({
                                             ...messageActivity,
                                             text: `🤖 ${accumulatedText}`,
                                             type: 'message'
@@ -692,9 +1536,17 @@ class MainDialog extends LogoutDialog {
                 // Always clean up the typing interval
                 clearInterval(typingInterval);
                 isCompleted = true;
+                activeStream.dispose();
             }
             
             console.log(`MainDialog: Stream complete. Received events: ${receivedEvents}`);
+
+            if (activeStream.stopped) {
+                await activeStream.finishCanceled(context, accumulatedText, messageActivity);
+                return;
+            }
+
+            await this.settlePushNotification(sendParams, currentTask);
             
             // Send or update the final response based on what we received
             if (accumulatedText) {
@@ -704,119 +1556,500 @@ class MainDialog extends LogoutDialog {
                 if (messageActivity) {
                     // Update with final text
                     try {
-                        await stepContext.context.updateActivity({
+                        await context.updateActivity({
                             ...messageActivity,
                             text: `🤖 ${accumulatedText}`,
                             type: 'message'
                         });
                     } catch (updateError) {
                         // If update fails, send as new message
-                        await stepContext.context.sendActivity(`🤖 ${accumulatedText}`);
+                        await context.sendActivity(`🤖 ${accumulatedText}`);
                     }
                 } else {
                     // Send as new message if we never sent one
-                    await stepContext.context.sendActivity(`🤖 ${accumulatedText}`);
+                    await context.sendActivity(`🤖 ${accumulatedText}`);
                 }
-            } else if (currentTask) {
+
+                // Text artifacts were streamed into the message above; files and data still need to be sent
+                await this.sendRichParts(context, lastArtifacts.flatMap(artifact => artifact.parts || []), agentName, currentTask);
+            } else if (currentTask && !awaitingInput) {
                 // We have a task but no text content
-                await stepContext.context.sendActivity(`🎯 Task ${currentTask.id}: ${currentTask.status.state}`);
+                await context.sendActivity(`🎯 Task ${currentTask.id}: ${currentTask.status.state}`);
                 
                 // Display artifacts if any
                 if (lastArtifacts.length > 0) {
-                    await this.displayTaskArtifacts(lastArtifacts, stepContext);
+                    await this.displayTaskArtifacts(context, lastArtifacts, agentName, currentTask);
                 }
                 
                 // Show status message if available
                 if (currentTask.status.message) {
-                    await stepContext.context.sendActivity(`ℹ️ ${currentTask.status.message}`);
+                    await context.sendActivity(`ℹ️ ${getMessageText(currentTask.status.message)}`);
                 }
             } else if (!receivedEvents) {
-                await stepContext.context.sendActivity('⚠️ No response received from agent.');
+                await context.sendActivity('⚠️ No response received from agent.');
+            }
+
+            // The stream broke and the agent couldn't resubscribe, so keep following the task another way
+            const lastState = currentTask ? currentTask.status.state : 'working';
+            if (activeStream.dropped && !awaitingInput && !isTerminalState(lastState)) {
+                const task = currentTask || { id: activeStream.taskId, status: { state: lastState } };
+                await this.followUpTask(context, a2aClient, task, agentName, sendParams);
             }
             
             console.log('MainDialog: Response handling complete');
             
         } catch (error) {
+            // Sending again wouldn't help; the user has to sign in or the token is wrong for the agent
+            // (or, for app-only agents, the agent doesn't accept the bot's identity)
+            if (error instanceof AuthenticationRequiredError || error instanceof TokenValidationError || error instanceof AppAuthError) {
+                throw error;
+            }
+
             console.error('MainDialog: Streaming error:', error);
-            // If streaming fails, fall back to regular response
+
+            // The agent already created a task (Teams may have failed to show it): follow that task,
+            // since sending the message again would start a second one
+            if (activeStream?.taskId) {
+                await this.recoverTask(context, a2aClient, activeStream.taskId, agentName, sendParams);
+                return;
+            }
+            // The agent already answered, so it would answer the message twice
+            if (receivedEvents) {
+                throw error;
+            }
+
+            // No task was created, so the message can be sent again without streaming
             console.log('MainDialog: Falling back to regular response...');
-            await this.handleRegularResponse(a2aClient, sendParams, stepContext);
+            await this.handleRegularResponse(context, a2aClient, sendParams, agentName);
         }
     }
 
     /**
-     * Handles regular response with polling from A2A agent
+     * Shows a task whose stream failed in this turn after the agent created it. The task is read with
+     * tasks/get and then shown like a blocking response; while it runs it is followed with
+     * followUpTask. When it can't be read, it is followed from its last known state
+     * @param {TurnContext} context - The turn context
+     * @param {A2AClient} a2aClient - The client for the agent that owns the task
+     * @param {string} taskId - The id of the task
+     * @param {string} agentName - The name of the agent that owns the task
+     * @param {Object} sendParams - The message parameters that created or continued the task
+     */
+    async recoverTask(context, a2aClient, taskId, agentName, sendParams) {
+        console.log(`MainDialog: Following task ${taskId} instead of sending the message again`);
+        let task;
+        try {
+            const response = await a2aClient.getTask({ id: taskId });
+            if ("error" in response) {
+                throw new Error(response.error.message);
+            }
+            task = response.result;
+        } catch (error) {
+            if (error instanceof AuthenticationRequiredError || error instanceof TokenValidationError || error instanceof AppAuthError) {
+                throw error;
+            }
+            console.log(`MainDialog: Could not get task ${taskId}:`, error.message);
+            await this.followUpTask(context, a2aClient, { id: taskId, status: { state: 'working' } }, agentName, sendParams);
+            return;
+        }
+
+        trackEvent(context, agentName, task);
+        await this.settlePushNotification(sendParams, task);
+        await this.showTask(context, a2aClient, task, agentName, sendParams);
+    }
+
+    /**
+     * Handles regular (non-streaming) response from A2A agent
+     * @param {TurnContext} context - The context object
      * @param {A2AClient} a2aClient - The A2A client
      * @param {Object} sendParams - The message parameters
-     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     * @param {string} agentName - The name of the agent receiving the message
      */
-    async handleRegularResponse(a2aClient, sendParams, stepContext) {
-        console.log('MainDialog: Sending message to A2A agent...');
-        
+    async handleRegularResponse(context, a2aClient, sendParams, agentName) {
         // Send typing indicator
-        await stepContext.context.sendActivity({ type: 'typing' });
+        await context.sendActivity({ type: 'typing' });
         
         const response = await a2aClient.sendMessage(sendParams);
-        console.log('MainDialog: Received response:', JSON.stringify(response).substring(0, 200));
         
         if ("error" in response) {
-            console.error('MainDialog: A2A error:', response.error);
             throw new Error(response.error.message);
         }
 
         const result = response.result;
-        console.log('MainDialog: Result kind:', result.kind);
+        trackEvent(context, agentName, result);
+        await this.settlePushNotification(sendParams, result.kind === "task" ? result : null);
         
         if (result.kind === "message") {
-            const text = result.parts[0]?.text || 'No text content';
-            console.log('MainDialog: Sending message to Teams:', text.substring(0, 100));
-            await stepContext.context.sendActivity(`🤖 ${text}`);
-        } else if (result.kind === "task") {
-            console.log('MainDialog: Task created:', result.id, 'Status:', result.status.state);
-            await stepContext.context.sendActivity(`🎯 Task: ${result.id} - ${result.status.state}`);
-            
-            // Display artifacts if available
-            if (result.artifacts && result.artifacts.length > 0) {
-                await this.displayTaskArtifacts(result.artifacts, stepContext);
-            }
-            
-            // Display status message if available
-            if (result.status.message) {
-                await stepContext.context.sendActivity(`ℹ️ ${result.status.message}`);
-            }
-            
-            // Note: Task polling removed due to A2A SDK body read limitations
-            // If task is not complete, the agent should send updates via streaming or webhooks
-            if (result.status.state !== "completed" && result.status.state !== "failed" && result.status.state !== "canceled") {
-                await stepContext.context.sendActivity(`⏳ Task is ${result.status.state}. The agent will notify when complete.`);
+            const text = result.parts[0]?.text;
+            if (text || result.parts.every(part => part.kind === "text")) {
+                await context.sendActivity(`🤖 ${text || 'No text content'}`);
             }
+            await this.sendRichParts(context, result.parts, agentName, result);
+        } else if (result.kind === "task") {
+            await this.showTask(context, a2aClient, result, agentName, sendParams);
+        }
+    }
+
+    /**
+     * Shows a task returned in one piece: the agent's question when it waits on the user, or else its
+     * state, artifacts and status message, and keeps following it until it finishes
+     * @param {TurnContext} context - The turn context
+     * @param {A2AClient} a2aClient - The client for the agent that owns the task
+     * @param {Object} task - The task
+     * @param {string} agentName - The name of the agent that owns the task
+     * @param {Object} sendParams - The message parameters that created or continued the task
+     */
+    async showTask(context, a2aClient, task, agentName, sendParams) {
+        if (INTERRUPTED_STATES.includes(task.status.state)) {
+            await this.sendInputRequest(context, task.id, task.status, agentName);
+            return;
+        }
+
+        await context.sendActivity(`🎯 Task: ${task.id} (${task.status.state})`);
+        
+        // Display artifacts if available
+        if (task.artifacts && task.artifacts.length > 0) {
+            await this.displayTaskArtifacts(context, task.artifacts, agentName, task);
+        }
+        
+        // Display status message if available
+        if (task.status.message) {
+            await context.sendActivity(`ℹ️ ${getMessageText(task.status.message)}`);
         }
         
-        console.log('MainDialog: Response handling complete');
+        // Keep following the task until it finishes
+        if (!isTerminalState(task.status.state)) {
+            await this.followUpTask(context, a2aClient, task, agentName, sendParams);
+        }
+    }
+
+    /**
+     * Shows the agent's question for a task in the input-required state. The task id stays on the
+     * conversation's A2A thread, so the user's next message continues the same task. Auth-required
+     * tasks ask the user to sign in instead.
+     * @param {TurnContext} context - The context object
+     * @param {string} taskId - The id of the task waiting on the user
+     * @param {Object} status - The task status, whose message holds the agent's question
+     * @param {string} agentName - The name of the agent that owns the task
+     */
+    async sendInputRequest(context, taskId, status, agentName) {
+        if (status.state === 'auth-required') {
+            await this.requestStepUpAuth(context, taskId, status, agentName);
+            return;
+        }
+
+        const agent = this.agentRegistry.get(agentName);
+        const card = createInputRequiredCard({
+            agentName: agent ? agent.displayName : agentName,
+            taskId,
+            question: getMessageText(status.message) || 'The agent needs more information to continue.'
+        });
+        await context.sendActivity(MessageFactory.attachment(CardFactory.adaptiveCard(card)));
+    }
+
+    /**
+     * Asks the user to sign in for a task in the auth-required state. The scheme and scopes the agent
+     * asks for pick the OAuth connection (falling back to the agent's own); the sign-in itself runs
+     * in the step-up dialog once the current response is done (see beginStepUp).
+     * @param {TurnContext} context - The turn context
+     * @param {string} taskId - The id of the task waiting on the sign-in
+     * @param {Object} status - The task status, whose message names the scheme and scopes
+     * @param {string} agentName - The agent the task belongs to
+     */
+    async requestStepUpAuth(context, taskId, status, agentName) {
+        const agent = this.agentRegistry.get(agentName) || this.getActiveAgent(context);
+        const { scheme, scopes } = getAuthRequest(status);
+        const connectionName = (scheme && this.agentRegistry.getSchemeConnectionName(scheme, this.agentCardCache.peekCard(agent.cardUrl))) ||
+            agent.connectionName;
+        if (!connectionName) {
+            await context.sendActivity(`⚠️ ${agent.displayName} needs you to sign in, but no OAuth connection is configured for ${scheme || 'it'}.`);
+            return;
+        }
+
+        console.log(`MainDialog: Task ${taskId} of ${agent.name} is auth-required (${scheme || connectionName})`);
+        context.turnState.set('a2aPendingAuth', {
+            agentName: agent.name,
+            taskId,
+            contextId: getThread(context, agent.name).contextId,
+            connectionName,
+            scheme,
+            scopes
+        });
+
+        const reason = getMessageText(status.message);
+        const permissions = scopes.length > 0 ? ` (${scopes.join(', ')})` : '';
+        await context.sendActivity(`🔐 ${agent.displayName} needs you to sign in${permissions} to continue task ${taskId}.${reason ? `\n\n${reason}` : ''}`);
+    }
+
+    /**
+     * Starts the step-up sign-in requested during this turn, if any. Used by the bot after it has
+     * routed a message to an agent outside of the dialog.
+     * @param {TurnContext} context - The turn context
+     * @param {StatePropertyAccessor} accessor - The state property accessor for the dialog state
+     */
+    async beginStepUp(context, accessor) {
+        const stepUp = context.turnState.get('a2aPendingAuth');
+        if (!stepUp) return;
+        context.turnState.set('a2aPendingAuth', null);
+
+        await this.beginFromOutside(context, accessor, { stepUp });
+    }
+
+    /**
+     * Starts the private sign-in in a personal chat the bot has just opened with the user.
+     * @param {TurnContext} context - The turn context of the personal chat
+     * @param {StatePropertyAccessor} accessor - The state property accessor for the dialog state
+     * @param {{connectionName: string, reference: Object, stepUp?: Object}} privateSignIn - The connection, and the conversation the sign-in is for
+     */
+    async beginPrivateSignIn(context, accessor, privateSignIn) {
+        await this.beginFromOutside(context, accessor, { privateSignIn });
+    }
+
+    /**
+     * Begins this dialog with options from outside a dialog turn, replacing whatever was active.
+     * @param {TurnContext} context - The turn context
+     * @param {StatePropertyAccessor} accessor - The state property accessor for the dialog state
+     * @param {Object} options - The options for onBeginDialog
+     */
+    async beginFromOutside(context, accessor, options) {
+        const dialogSet = new DialogSet(accessor);
+        dialogSet.add(this);
+        const dialogContext = await dialogSet.createContext(context);
+        await dialogContext.cancelAllDialogs();
+        await dialogContext.beginDialog(this.id, options);
     }
 
+    /**
+     * Asks the bot to sign the user in from a personal chat (see DialogBot.signInPrivately), since
+     * sign-in cards in group chats and channels would be shown to everyone.
+     * @param {TurnContext} context - The turn context of the group chat or channel
+     * @param {{connectionName: string, stepUp?: Object}} signIn - The connection, and the auth-required task to resume after it
+     */
+    requestPrivateSignIn(context, signIn) {
+        context.turnState.set('a2aPrivateSignIn', signIn);
+    }
 
+    /**
+     * Prompts for the sign-in in the personal chat.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context, with the private sign-in as options
+     */
+    async privateSignInPromptStep(stepContext) {
+        const { connectionName } = stepContext.options;
+        const promptId = this.getOAuthPromptId(connectionName);
+        if (!this.findDialog(promptId)) {
+            await stepContext.context.sendActivity(`⚠️ The OAuth connection ${connectionName} isn't set up for this bot.`);
+            return await stepContext.endDialog();
+        }
+        await stepContext.context.sendActivity('🔐 Sign in here to use the agents in the conversation you came from.');
+        return await stepContext.beginDialog(promptId);
+    }
+
+    /**
+     * Finishes the private sign-in. An auth-required task is handed to the bot to resume in the
+     * conversation it came from; otherwise the user sends their message there again.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     */
+    async privateSignInTokenStep(stepContext) {
+        const { context } = stepContext;
+        const privateSignIn = stepContext.options;
+        const tokenResponse = stepContext.result;
+        if (!tokenResponse || !tokenResponse.token) {
+            await context.sendActivity('Sign-in was not completed. Mention me in the conversation to try again.');
+            return await stepContext.endDialog();
+        }
+
+        if (privateSignIn.stepUp) {
+            context.turnState.set('a2aPrivateSignInDone', { ...privateSignIn, token: tokenResponse.token });
+            await context.sendActivity(`✅ You're signed in. Task ${privateSignIn.stepUp.taskId} continues in the conversation you came from.`);
+        } else {
+            await context.sendActivity('✅ You\'re signed in. Go back to the conversation and send your message again.');
+        }
+        return await stepContext.endDialog();
+    }
+
+    /**
+     * Prompts for the sign-in an auth-required task asked for.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context, with the pending sign-in as options
+     */
+    async stepUpPromptStep(stepContext) {
+        const stepUp = stepContext.options;
+        if (isSharedConversation(stepContext.context.activity)) {
+            this.requestPrivateSignIn(stepContext.context, { connectionName: stepUp.connectionName, stepUp });
+            return await stepContext.endDialog();
+        }
+        stepContext.context.turnState.set('a2aStepUp', stepUp);
+
+        const promptId = this.getOAuthPromptId(stepUp.connectionName);
+        if (!this.findDialog(promptId)) {
+            await stepContext.context.sendActivity(`⚠️ The OAuth connection ${stepUp.connectionName} isn't set up for this bot.`);
+            stepContext.context.turnState.set('a2aStepUp', null);
+            return await stepContext.endDialog();
+        }
+        return await stepContext.beginDialog(promptId);
+    }
+
+    /**
+     * Builds a client with the new token and hands the task to the bot to resume (see DialogBot.resumeTask),
+     * so the user doesn't have to send their question again.
+     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     */
+    async stepUpTokenStep(stepContext) {
+        const { context } = stepContext;
+        const stepUp = stepContext.options;
+        context.turnState.set('a2aStepUp', null);
+
+        const tokenResponse = stepContext.result;
+        if (!tokenResponse || !tokenResponse.token) {
+            await context.sendActivity(`Sign-in was not completed, so task ${stepUp.taskId} is still waiting.`);
+            return await stepContext.endDialog();
+        }
+
+        try {
+            context.turnState.set('a2aResumeTask', await this.prepareTaskResume(context, stepUp, tokenResponse.token));
+            await context.sendActivity(`🔓 Signed in. Resuming task ${stepUp.taskId}…`);
+        } catch (error) {
+            console.error('MainDialog: Could not resume the auth-required task:', error);
+            await context.sendActivity(`❌ Couldn't resume task ${stepUp.taskId}: ${error.message}`);
+        }
+        return await stepContext.endDialog();
+    }
+
+    /**
+     * Builds a client with the token from a step-up sign-in for the auth-required task to be resumed with.
+     * @param {TurnContext} context - The turn context of the conversation the task belongs to
+     * @param {Object} stepUp - The step-up sign-in (see requestStepUpAuth)
+     * @param {string} token - The token from the sign-in
+     * @returns {Promise<{agent: Object, a2aClient: A2AClient, taskId: string, contextId: string, scheme: string}>} The task to resume (see DialogBot.resumeTask)
+     */
+    async prepareTaskResume(context, stepUp, token) {
+        const agent = this.agentRegistry.get(stepUp.agentName) || this.getActiveAgent(context);
+        if (stepUp.connectionName === agent.connectionName) {
+            context.turnState.set('accessToken', token);
+            context.turnState.set('connectionName', agent.connectionName);
+        }
+
+        // A different connection or extra scopes only apply to this task, not to the agent's definition
+        const stepUpAgent = stepUp.connectionName === agent.connectionName && stepUp.scopes.length === 0
+            ? agent
+            : { ...agent, connectionName: stepUp.connectionName, connectionFromCard: false, ...(stepUp.scopes.length > 0 ? { scopes: stepUp.scopes } : {}) };
+
+        const { a2aClient, agentCard } = await this.createAgentClient(context, stepUpAgent, token);
+        if (stepUpAgent === agent && agent.name === this.getActiveAgent(context).name) {
+            context.turnState.set('a2aClient', a2aClient);
+            context.turnState.set('agentCard', agentCard);
+        }
+        return {
+            agent,
+            a2aClient,
+            taskId: stepUp.taskId,
+            contextId: stepUp.contextId,
+            scheme: stepUp.scheme
+        };
+    }
 
     /**
      * Displays task artifacts
+     * @param {TurnContext} context - The context object
      * @param {Array} artifacts - The task artifacts
-     * @param {WaterfallStepContext} stepContext - The waterfall step context
+     * @param {string} agentName - The name of the agent that produced the artifacts
+     * @param {Object} [task] - The task the artifacts belong to
      */
-    async displayTaskArtifacts(artifacts, stepContext) {
+    async displayTaskArtifacts(context, artifacts, agentName, task) {
         for (const artifact of artifacts) {
-            await stepContext.context.sendActivity(`📎 **${artifact.name || artifact.artifactId}**`);
-            
+            await context.sendActivity(`📎 **${artifact.name || artifact.artifactId}**`);
             if (artifact.parts) {
                 for (const part of artifact.parts) {
                     if (part.kind === "text") {
-                        await stepContext.context.sendActivity(`📄 ${part.text}`);
-                    } else if (part.kind === "file") {
-                        await stepContext.context.sendActivity(`🗂️ File: ${part.filename || 'unnamed file'}`);
+                        await context.sendActivity(`📄 ${part.text}`);
+                    } else {
+                        await this.sendRichParts(context, [part], agentName, task);
                     }
                 }
             }
         }
     }
+
+    /**
+     * Sends the file and data parts of an agent message or artifact to Teams. Text parts are left
+     * to the caller, which streams or prints them.
+     * @param {TurnContext} context - The turn context
+     * @param {Array<Object>} parts - The message or artifact parts
+     * @param {string} agentName - The name of the agent that sent the parts
+     * @param {Object} [origin] - The message or task the parts belong to, so card submissions can be sent back to it
+     */
+    async sendRichParts(context, parts, agentName, origin) {
+        for (const part of parts || []) {
+            if (part.kind === "file") {
+                await this.sendFilePart(context, part, agentName);
+            } else if (part.kind === "data") {
+                await this.sendDataPart(context, part, agentName, origin);
+            }
+        }
+    }
+
+    /**
+     * Sends an A2A data part to Teams as an Adaptive Card: the agent's own card, or one generated
+     * from the data. Payloads too large for a Teams message are sent as a JSON file instead.
+     * @param {TurnContext} context - The turn context
+     * @param {Object} part - The A2A data part
+     * @param {string} agentName - The name of the agent that sent the part
+     * @param {Object} [origin] - The message or task the part belongs to
+     */
+    async sendDataPart(context, part, agentName, origin) {
+        const card = getDataPartCard(part, {
+            agentName,
+            taskId: origin?.kind === "task" ? origin.id : origin?.taskId,
+            contextId: origin?.contextId
+        });
+        if (card) {
+            await context.sendActivity(MessageFactory.attachment(CardFactory.adaptiveCard(card)));
+            return;
+        }
+
+        await this.sendFilePart(context, {
+            kind: "file",
+            file: {
+                name: 'data.json',
+                mimeType: 'application/json',
+                bytes: Buffer.from(JSON.stringify(part.data, null, 2)).toString('base64')
+            }
+        }, agentName);
+    }
+
+    /**
+     * Sends an A2A file part to Teams as an attachment. The agent's token goes along only when the
+     * file is hosted by the agent and the user's token came from the agent's connection.
+     * @param {TurnContext} context - The turn context
+     * @param {Object} part - The A2A file part
+     * @param {string} agentName - The name of the agent that sent the part
+     */
+    async sendFilePart(context, part, agentName) {
+        if (!this.fileAttachments) {
+            await context.sendActivity(`🗂️ File: ${part.file?.name || part.filename || 'unnamed file'}`);
+            return;
+        }
+
+        const agent = this.agentRegistry.get(agentName) || this.getActiveAgent(context);
+        const userToken = context.turnState.get('accessToken');
+        let accessToken;
+        if (this.isAppOnlyAgent(agent)) {
+            try {
+                accessToken = await this.appAuth.getToken(agent, this.agentCardCache.peekCard(agent.cardUrl));
+            } catch (error) {
+                console.log(`MainDialog: No token for downloading ${agent.name} files:`, error.message);
+            }
+        } else if (userToken && agent.connectionName && agent.connectionName === context.turnState.get('connectionName')) {
+            const { from } = context.activity;
+            try {
+                accessToken = await this.getAgentToken(userToken, from.aadObjectId || from.id, agent);
+            } catch (error) {
+                console.log(`MainDialog: No token for downloading ${agent.name} files:`, error.message);
+            }
+        }
+        await this.fileAttachments.sendFilePart(context, part, {
+            agentOrigin: new URL(agent.cardUrl).origin,
+            accessToken
+        });
+    }
 }
 
 module.exports.MainDialog = MainDialog;
\ No newline at end of file
@@ -16,15 +16,22 @@ const restify = require('restify');
 // See https://aka.ms/bot-services to learn more about the different parts of a bot.
 const {
     CloudAdapter,
-    ConversationState,
-    MemoryStorage,
-    UserState,
     ConfigurationBotFrameworkAuthentication,
     TeamsSSOTokenExchangeMiddleware
 } = require('botbuilder');
 
 const { TeamsBot } = require('./bots/teamsBot');
 const { MainDialog } = require('./dialogs/mainDialog');
+const { AgentRegistry } = require('./services/agentRegistry');
+const { SkillRouter } = require('./services/skillRouter');
+const { NOTIFICATION_TOKEN_HEADER, PushNotificationService } = require('./services/pushNotifications');
+const { TaskPoller } = require('./services/taskPoller');
+const { FileAttachmentService } = require('./services/fileAttachments');
+const { OboTokenBroker } = require('./services/tokenBroker');
+const { AppAuthProvider } = require('./services/appAuth');
+const { AgentCardCache } = require('./services/agentCardCache');
+const { ConcurrentConversationState, ConcurrentUserState, createStorage, isStorageConflict } = require('./services/botStorage');
+const { ChannelThreadMiddleware } = require('./services/sharedConversations');
 const { env } = require('process');
 
 const botFrameworkAuthentication = new ConfigurationBotFrameworkAuthentication(process.env);
@@ -32,9 +39,12 @@ const botFrameworkAuthentication = new ConfigurationBotFrameworkAuthentication(p
 // Create adapter.
 // See https://aka.ms/about-bot-adapter to learn more about how bots work.
 const adapter = new CloudAdapter(botFrameworkAuthentication);
-const memoryStorage = new MemoryStorage();
-const tokenExchangeMiddleware = new TeamsSSOTokenExchangeMiddleware(memoryStorage, env.connectionName);
+// Bot, dialog and token-exchange state share one store, picked with BOT_STORAGE (memory, file, blob or cosmos).
+const storage = createStorage();
+const tokenExchangeMiddleware = new TeamsSSOTokenExchangeMiddleware(storage, env.connectionName);
 adapter.use(tokenExchangeMiddleware);
+// Replies in channels, including proactive ones, go to the thread of the message they answer.
+adapter.use(new ChannelThreadMiddleware());
 
 adapter.onTurnError = async (context, error) => {
     // This check writes out errors to console log .vs. app insights.
@@ -54,27 +64,49 @@ adapter.onTurnError = async (context, error) => {
      // Uncomment below commented line for local debugging.
      // await context.sendActivity(`Sorry, it looks like something went wrong. Exception Caught: ${error}`);
 
+    // Other turns kept saving this conversation's state while this turn's changes were merged; keep their version
+    if (isStorageConflict(error)) {
+        console.error(`\n [onTurnError] State of conversation ${ context.activity.conversation?.id } could not be saved: ${ error.message }`);
+        return;
+    }
+
     // Clear out state
     await conversationState.delete(context);
 };
 
-// Define the state store for your bot.
-// See https://aka.ms/about-bot-state to learn more about using MemoryStorage.
+// See https://aka.ms/about-bot-state to learn more about bot state.
 // A bot requires a state storage system to persist the dialog and user state between messages.
-//const memoryStorage = new MemoryStorage();
 
-// Create conversation and user state with in-memory storage provider.
-const conversationState = new ConversationState(memoryStorage);
-const userState = new UserState(memoryStorage);
+// Create conversation and user state. Saves are made against the eTag the state was read with,
+// so two app instances don't overwrite each other's changes.
+const conversationState = new ConcurrentConversationState(storage);
+const userState = new ConcurrentUserState(storage);
+
+// Load the A2A agents the bot can talk to (A2A_AGENTS / A2A_AGENTS_FILE, or the single A2A_AGENT_CARD_URL).
+const agentRegistry = AgentRegistry.fromEnv();
+
+// Register A2A push notifications so tasks that outlive a turn can report back (needs A2A_NOTIFICATION_URL or BOT_DOMAIN).
+const pushNotifications = PushNotificationService.fromEnv(storage);
+
+// Poll tasks from agents without push notifications, posting results back through the bot.
+const taskPoller = TaskPoller.fromEnv(adapter, (context, task, job) => bot.deliverTaskUpdate(context, task, job.agentName));
 
 // Create the main dialog.
-const dialog = new MainDialog();
+const fileAttachments = FileAttachmentService.fromEnv();
+const tokenBroker = OboTokenBroker.fromEnv();
+const appAuth = AppAuthProvider.fromEnv();
+// Agent cards are shared by all conversations until the cards go stale.
+const agentCardCache = AgentCardCache.fromEnv();
+const dialog = new MainDialog(agentRegistry, { pushNotifications, taskPoller, fileAttachments, tokenBroker, appAuth, agentCardCache });
+// Create the router that picks an agent per message from the agent cards' skills.
+const skillRouter = SkillRouter.fromEnv(agentRegistry);
 // Create the bot that will handle incoming messages.
-const bot = new TeamsBot(conversationState, userState, dialog);
+const bot = new TeamsBot(conversationState, userState, dialog, skillRouter);
 
 // Create HTTP server.
 const server = restify.createServer();
 server.use(restify.plugins.bodyParser());
+server.use(restify.plugins.queryParser());
 
 server.listen(process.env.port || process.env.PORT || 3978, function() {
     console.log(`\n${ server.name } listening to ${ server.url }`);
@@ -88,6 +120,35 @@ server.post('/api/messages', async (req, res) => {
     await adapter.process(req, res, async (context) => {
         // Store conversation state in turn state for access by dialog
         context.turnState.set('conversationState', conversationState);
+        context.turnState.set('userState', userState);
         await bot.run(context);
     });
+});
+
+// Listen for A2A push notifications about tasks started from Teams.
+server.post('/api/a2a/notifications', async (req, res) => {
+    const task = req.body;
+
+    try {
+        const registration = await pushNotifications.verify(req.query.registration, req.header(NOTIFICATION_TOKEN_HEADER), task);
+        if (!registration) {
+            res.send(401);
+            return;
+        }
+
+        // Post the task's result back into the conversation that started it
+        await adapter.continueConversationAsync(process.env.MicrosoftAppId, registration.conversationReference, async (context) => {
+            await bot.handleTaskNotification(context, task, registration);
+        });
+        res.send(200);
+    } catch (error) {
+        // Another notification for the task is being delivered; the agent can send this one again
+        if (isStorageConflict(error)) {
+            console.log(`\n [notifications] Notification for registration ${ req.query.registration } arrived while another was being delivered`);
+            res.send(409);
+            return;
+        }
+        console.error('\n [notifications] Error delivering A2A notification:', error);
+        res.send(500);
+    }
 });
\ No newline at end of file
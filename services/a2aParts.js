@@ -0,0 +1,31 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+/**
+ * Joins the text parts of an A2A message or artifact.
+ * @param {Array<Object>} parts - The message or artifact parts.
+ * @returns {string} The text, or an empty string when there are no text parts.
+ */
+function getTextFromParts(parts) {
+    return (parts || [])
+        .filter(part => part.kind === 'text' && part.text)
+        .map(part => part.text)
+        .join('\n');
+}
+
+/**
+ * Gets the text of an A2A message, such as a task's status message.
+ * Older agents send the status message as a plain string, so that is accepted too.
+ * @param {Object|string} message - The A2A message.
+ * @returns {string} The text, or an empty string when the message has none.
+ */
+function getMessageText(message) {
+    if (!message) return '';
+    if (typeof message === 'string') return message;
+    return getTextFromParts(message.parts);
+}
+
+module.exports = {
+    getTextFromParts,
+    getMessageText
+};
@@ -0,0 +1,108 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { recordTask } = require('./taskHistory');
+
+// Task states after which the task can't receive more messages
+const TERMINAL_STATES = ['completed', 'failed', 'canceled', 'rejected'];
+
+// Task states in which the agent is waiting for the user, so the next message continues the task
+const INTERRUPTED_STATES = ['input-required', 'auth-required'];
+
+/**
+ * Checks whether a task state is terminal.
+ * @param {string} state - The task state.
+ * @returns {boolean} True when the task has finished.
+ */
+function isTerminalState(state) {
+    return TERMINAL_STATES.includes(state);
+}
+
+/**
+ * Gets the A2A threads (contextId and continuable taskId per agent) restored for the current turn.
+ * @param {TurnContext} context - The turn context.
+ * @returns {Object} The threads keyed by agent name.
+ */
+function getThreads(context) {
+    let threads = context.turnState.get('a2aThreads');
+    if (!threads) {
+        threads = {};
+        context.turnState.set('a2aThreads', threads);
+    }
+    return threads;
+}
+
+/**
+ * Gets the thread the conversation has with an agent.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} agentName - The agent name.
+ * @returns {{contextId?: string, taskId?: string}} The thread.
+ */
+function getThread(context, agentName) {
+    return getThreads(context)[agentName] || {};
+}
+
+/**
+ * Attaches the conversation's contextId, and the taskId of a task waiting on the user, to an outgoing message.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} agentName - The agent receiving the message.
+ * @param {Object} message - The A2A message to send.
+ * @returns {Object} The message.
+ */
+function applyThread(context, agentName, message) {
+    const thread = getThread(context, agentName);
+    if (thread.contextId) {
+        message.contextId = thread.contextId;
+    }
+    if (thread.taskId) {
+        message.taskId = thread.taskId;
+    }
+    return message;
+}
+
+/**
+ * Records the contextId and task state from an event (or a non-streaming result) returned by an agent.
+ * Tasks are also added to the user's task history shown by the 'tasks' command.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} agentName - The agent that sent the event.
+ * @param {Object} event - A message, task, status-update or artifact-update event.
+ */
+function trackEvent(context, agentName, event) {
+    if (!event) return;
+
+    const threads = getThreads(context);
+    const thread = threads[agentName] || {};
+
+    if (event.contextId) {
+        thread.contextId = event.contextId;
+    }
+
+    const taskId = event.kind === 'task' ? event.id : event.taskId;
+    const state = event.status?.state;
+    if (taskId && state) {
+        // Only keep the task when the agent is waiting on the user; finished or running tasks start a new turn
+        thread.taskId = INTERRUPTED_STATES.includes(state) ? taskId : undefined;
+    }
+
+    threads[agentName] = thread;
+    recordTask(context, agentName, event);
+}
+
+/**
+ * Forgets the threads with every agent so the next message starts a fresh context.
+ * @param {TurnContext} context - The turn context.
+ */
+function resetThreads(context) {
+    context.turnState.set('a2aThreads', {});
+}
+
+module.exports = {
+    TERMINAL_STATES,
+    INTERRUPTED_STATES,
+    isTerminalState,
+    getThreads,
+    getThread,
+    applyThread,
+    trackEvent,
+    resetThreads
+};
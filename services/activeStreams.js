@@ -0,0 +1,239 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { CardFactory, MessageFactory } = require('botbuilder');
+const { createTaskProgressCard } = require('./taskCards');
+const { AuthenticationRequiredError } = require('./agentAuth');
+const { AppAuthError } = require('./appAuth');
+const { trackEvent } = require('./a2aThreads');
+
+// Streams currently being read by a turn, by task id. A Cancel click arrives on a different
+// turn than the one reading the stream, so the lookup has to be process-wide.
+const streamsByTaskId = new Map();
+
+const ABORTED = Symbol('aborted');
+
+// How many times a dropped stream is reconnected with tasks/resubscribe before giving up
+const MAX_RESUBSCRIBE_ATTEMPTS = 3;
+
+/**
+ * ActiveStream tracks one sendMessageStream iteration so another turn can stop it,
+ * and owns the progress card (with its Cancel button) shown while the task runs.
+ * The stream's requests carry the stream's abort signal, so stopping it closes the connection.
+ * If the stream breaks after the task id is known, it reconnects with tasks/resubscribe
+ * instead of letting the caller send the message again.
+ */
+class ActiveStream {
+    /**
+     * Creates an instance of ActiveStream.
+     * @param {Object} options - The stream details.
+     * @param {string} options.conversationId - The Teams conversation the stream belongs to.
+     * @param {string} [options.userId] - The user whose message started the stream.
+     * @param {string} options.agentName - The name of the agent streaming the response.
+     * @param {string} options.agentDisplayName - The display name of the agent.
+     * @param {A2AClient} options.a2aClient - The client for the agent, also used to cancel the task.
+     * @param {Function} [options.onStop] - Called when the stream is stopped, e.g. to clear the typing indicator.
+     */
+    constructor({ conversationId, userId, agentName, agentDisplayName, a2aClient, onStop }) {
+        this.conversationId = conversationId;
+        this.userId = userId;
+        this.agentName = agentName;
+        this.agentDisplayName = agentDisplayName || agentName;
+        this.a2aClient = a2aClient;
+        this.onStop = onStop;
+        this.abortController = new AbortController();
+        // tasks/cancel goes through the plain client: it must not be aborted with the stream
+        this.streamClient = a2aClient.withSignal ? a2aClient.withSignal(this.abortController.signal) : a2aClient;
+        this.taskId = null;
+        this.progressActivity = null;
+        this.dropped = false;
+    }
+
+    /**
+     * Whether the stream was stopped by a cancel request.
+     * @returns {boolean} True when stopped.
+     */
+    get stopped() {
+        return this.abortController.signal.aborted;
+    }
+
+    /**
+     * Associates the stream with its task so cancel requests can find it.
+     * @param {string} taskId - The task id.
+     */
+    attachTask(taskId) {
+        if (!taskId || this.taskId === taskId) return;
+        this.taskId = taskId;
+        streamsByTaskId.set(taskId, this);
+    }
+
+    /**
+     * Sends a message and opens its event stream with the stream's abort signal.
+     * @param {Object} sendParams - The message/stream parameters.
+     * @returns {AsyncIterable} The A2A event stream.
+     */
+    sendMessageStream(sendParams) {
+        return this.streamClient.sendMessageStream(sendParams);
+    }
+
+    /**
+     * Iterates a stream until it ends or the stream is stopped, whichever comes first.
+     * @param {AsyncIterable} stream - The A2A event stream.
+     */
+    async * iterate(stream) {
+        const iterator = this.resubscribeOnDrop(stream)[Symbol.asyncIterator]();
+        const signal = this.abortController.signal;
+        const aborted = new Promise(resolve => signal.addEventListener('abort', () => resolve(ABORTED), { once: true }));
+
+        try {
+            while (!signal.aborted) {
+                const result = await Promise.race([iterator.next(), aborted]);
+                if (result === ABORTED || result.done) return;
+                yield result.value;
+            }
+        } finally {
+            if (signal.aborted && iterator.return) {
+                // Don't wait: the pending read settles once the aborted request is torn down
+                iterator.return().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Reads a stream and reconnects to the task with tasks/resubscribe when it breaks. Errors before
+     * the task id is known are rethrown, since nothing was created and the message can be resent,
+     * and so are authentication errors, which need the user to sign in again.
+     * When the agent doesn't support resubscribe (the new stream fails before any event), the
+     * stream ends with `dropped` set so the caller can fall back to polling.
+     * @param {AsyncIterable} stream - The A2A event stream.
+     */
+    async * resubscribeOnDrop(stream) {
+        let current = stream;
+        let attempts = 0;
+        let eventsSinceConnect = 0;
+
+        while (current) {
+            try {
+                for await (const event of current) {
+                    eventsSinceConnect++;
+                    this.attachTask(event.kind === 'task' ? event.id : event.taskId);
+                    yield event;
+                }
+                return;
+            } catch (error) {
+                if (!this.taskId || this.stopped || error instanceof AuthenticationRequiredError || error instanceof AppAuthError) {
+                    throw error;
+                }
+
+                const resubscribeUnsupported = current !== stream && eventsSinceConnect === 0;
+                if (resubscribeUnsupported || attempts >= MAX_RESUBSCRIBE_ATTEMPTS) {
+                    console.log(`ActiveStream: Could not resume task ${this.taskId}:`, error.message);
+                    this.dropped = true;
+                    return;
+                }
+
+                attempts++;
+                eventsSinceConnect = 0;
+                console.log(`ActiveStream: Stream for task ${this.taskId} dropped (${error.message}), resubscribing (${attempts}/${MAX_RESUBSCRIBE_ATTEMPTS})`);
+                current = this.streamClient.resubscribeTask({ id: this.taskId });
+            }
+        }
+    }
+
+    /**
+     * Stops reading the stream and runs the stop callback.
+     */
+    stop() {
+        if (this.stopped) return;
+        this.abortController.abort();
+        if (this.onStop) {
+            this.onStop();
+        }
+    }
+
+    /**
+     * Sends the progress card for the task, or updates it with the latest state.
+     * @param {TurnContext} context - The turn context.
+     * @param {string} state - The task state.
+     */
+    async showProgress(context, state) {
+        if (!this.taskId) return;
+
+        const card = createTaskProgressCard({
+            agentName: this.agentDisplayName,
+            taskId: this.taskId,
+            state
+        });
+        const activity = MessageFactory.attachment(CardFactory.adaptiveCard(card));
+
+        if (!this.progressActivity) {
+            this.progressActivity = await context.sendActivity(activity);
+            return;
+        }
+
+        try {
+            await context.updateActivity({ ...activity, id: this.progressActivity.id });
+        } catch (updateError) {
+            console.log('ActiveStream: Progress card update failed:', updateError.message);
+        }
+    }
+
+    /**
+     * Marks the task of a stream stopped by a cancel request as canceled in Teams.
+     * @param {TurnContext} context - The turn context.
+     * @param {string} accumulatedText - The text received before the stream was stopped.
+     * @param {Object} [messageActivity] - The Teams message holding the streamed text, if one was sent.
+     */
+    async finishCanceled(context, accumulatedText, messageActivity) {
+        console.log(`ActiveStream: Stream for task ${this.taskId} was canceled`);
+        trackEvent(context, this.agentName, { kind: 'status-update', taskId: this.taskId, status: { state: 'canceled' } });
+        await this.showProgress(context, 'canceled');
+
+        if (accumulatedText && messageActivity) {
+            try {
+                await context.updateActivity({
+                    ...messageActivity,
+                    text: `🤖 ${accumulatedText}\n\n🚫 _Canceled_`,
+                    type: 'message'
+                });
+            } catch (updateError) {
+                console.log('ActiveStream: Canceled message update failed');
+            }
+        }
+    }
+
+    /**
+     * Removes the stream from the process-wide lookup.
+     */
+    dispose() {
+        if (this.taskId && streamsByTaskId.get(this.taskId) === this) {
+            streamsByTaskId.delete(this.taskId);
+        }
+    }
+}
+
+/**
+ * Finds the stream reading a task.
+ * @param {string} taskId - The task id.
+ * @returns {ActiveStream|undefined} The stream, if one is active.
+ */
+function findStreamByTaskId(taskId) {
+    return streamsByTaskId.get(taskId);
+}
+
+/**
+ * Finds the streams running in a Teams conversation.
+ * @param {string} conversationId - The conversation id.
+ * @param {string} [userId] - Only the streams started by this user.
+ * @returns {Array<ActiveStream>} The active streams.
+ */
+function findStreamsByConversation(conversationId, userId) {
+    return [...streamsByTaskId.values()].filter(stream => stream.conversationId === conversationId &&
+        (!userId || stream.userId === userId));
+}
+
+module.exports = {
+    ActiveStream,
+    findStreamByTaskId,
+    findStreamsByConversation
+};
@@ -0,0 +1,201 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { createAuthenticatingFetchWithRetry } = require('@a2a-js/sdk/client');
+const { isTokenExpired } = require('./tokenClaims');
+
+/**
+ * Thrown when an agent rejects the user's token and no fresh token can be fetched silently,
+ * so the user has to sign in again.
+ */
+class AuthenticationRequiredError extends Error {
+    /**
+     * Creates an instance of AuthenticationRequiredError.
+     * @param {string} connectionName - The OAuth connection the user has to sign in to.
+     */
+    constructor(connectionName) {
+        super(`401 Unauthorized - sign-in required for connection ${connectionName}`);
+        this.name = 'AuthenticationRequiredError';
+        this.connectionName = connectionName;
+    }
+}
+
+/**
+ * Builds the headers for requests to an agent.
+ * @param {string} accessToken - The access token.
+ * @returns {Object} The headers.
+ */
+function createAuthHeaders(accessToken) {
+    return {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Gets the speaking user's token for a connection from the Bot Framework token service.
+ * Tokens are never stored by the bot; this is called on every turn instead.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} connectionName - The OAuth connection.
+ * @param {string} [magicCode] - The code from a sign-in that just finished (e.g. a message extension's `state`).
+ * @returns {Promise<string|undefined>} The token, or undefined when the user isn't signed in.
+ */
+async function getUserToken(context, connectionName, magicCode) {
+    const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+    const { from, channelId } = context.activity;
+    if (!userTokenClient || !from?.id) {
+        return undefined;
+    }
+
+    const tokenResponse = await userTokenClient.getUserToken(from.id, connectionName, channelId, magicCode);
+    return tokenResponse?.token;
+}
+
+/**
+ * Exchanges a Teams SSO token (such as the one Teams sends with message extension requests) for
+ * the user's token for a connection, without showing a sign-in page.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} connectionName - The OAuth connection.
+ * @param {string} ssoToken - The Teams SSO token.
+ * @returns {Promise<string|undefined>} The token, or undefined when the exchange failed (e.g. consent is needed).
+ */
+async function exchangeSsoToken(context, connectionName, ssoToken) {
+    const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+    const { from, channelId } = context.activity;
+    if (!userTokenClient || !from?.id || !ssoToken) {
+        return undefined;
+    }
+
+    try {
+        const tokenResponse = await userTokenClient.exchangeToken(from.id, connectionName, channelId, { token: ssoToken });
+        return tokenResponse?.token;
+    } catch (error) {
+        console.log(`AgentAuth: SSO token exchange for ${connectionName} failed:`, error.message);
+        return undefined;
+    }
+}
+
+/**
+ * Gets the link of the sign-in page for a connection, for surfaces that can't show an OAuth card.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} connectionName - The OAuth connection.
+ * @returns {Promise<string>} The sign-in link.
+ */
+async function getSignInLink(context, connectionName) {
+    const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+    const signInResource = await userTokenClient.getSignInResource(connectionName, context.activity, '');
+    return signInResource.signInLink;
+}
+
+/**
+ * Signs the speaking user out of a connection, so the next request asks them to sign in again.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} connectionName - The OAuth connection.
+ */
+async function signOutUser(context, connectionName) {
+    const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+    const { from, channelId } = context.activity;
+    try {
+        await userTokenClient.signOutUser(from.id, connectionName, channelId);
+    } catch (error) {
+        console.log(`AgentAuth: Sign-out from ${connectionName} failed:`, error.message);
+    }
+}
+
+/**
+ * Creates the fetch used by A2A clients. It sends the user's token and, when the agent answers 401,
+ * gets a fresh token for the connection from the Bot Framework token service and retries the
+ * request once. If there is no fresh token or the retry is rejected too, the request fails with
+ * AuthenticationRequiredError. A token that has already expired is replaced the same way before the
+ * request is sent, rather than waiting for the agent's 401.
+ *
+ * The token client and user are read from the turn when the fetch is created, so clients keep
+ * working after the turn ends (streams, polling).
+ * @param {TurnContext} context - The turn the client is created in.
+ * @param {string} connectionName - The OAuth connection the token came from.
+ * @param {string} accessToken - The user's access token.
+ * @param {Function} [onTokenRefreshed] - Called with the new token after a successful retry.
+ * @param {Function} [exchangeToken] - Turns the user's token into the token sent to the agent (e.g. on-behalf-of).
+ * @returns {Function} The fetch implementation.
+ */
+function createAgentFetch(context, connectionName, accessToken, onTokenRefreshed, exchangeToken = async (token) => token) {
+    const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+    const userId = context.activity.from?.id;
+    const channelId = context.activity.channelId;
+
+    let currentToken = accessToken;
+    let refreshedToken;
+
+    // The token service refreshes expired tokens
+    const fetchUserToken = async () => {
+        if (!userTokenClient || !userId) {
+            return undefined;
+        }
+        try {
+            const tokenResponse = await userTokenClient.getUserToken(userId, connectionName, channelId, undefined);
+            return tokenResponse?.token;
+        } catch (error) {
+            console.log(`AgentAuth: Token refresh for ${connectionName} failed:`, error.message);
+            return undefined;
+        }
+    };
+
+    const recordToken = async (token) => {
+        currentToken = token;
+        if (onTokenRefreshed) {
+            try {
+                await onTokenRefreshed(token);
+            } catch (error) {
+                // The turn that created the client may have ended
+                console.log('AgentAuth: Could not record the refreshed token:', error.message);
+            }
+        }
+    };
+
+    const authFetch = createAuthenticatingFetchWithRetry(fetch, {
+        headers: async () => {
+            // An expired token would only be rejected, so get the current one before sending
+            if (isTokenExpired(currentToken)) {
+                const freshToken = await fetchUserToken();
+                if (!freshToken || isTokenExpired(freshToken)) {
+                    throw new AuthenticationRequiredError(connectionName);
+                }
+                await recordToken(freshToken);
+            }
+            return createAuthHeaders(await exchangeToken(currentToken));
+        },
+
+        // On a 401, ask the token service for the user's current token
+        shouldRetryWithHeaders: async (req, res) => {
+            if (res.status !== 401) {
+                return undefined;
+            }
+
+            refreshedToken = await fetchUserToken();
+            // The same token would be rejected again
+            if (!refreshedToken || refreshedToken === currentToken) {
+                return undefined;
+            }
+            return createAuthHeaders(await exchangeToken(refreshedToken));
+        },
+
+        onSuccessfulRetry: async () => recordToken(refreshedToken)
+    });
+
+    return async (url, init) => {
+        const response = await authFetch(url, init);
+        if (response.status === 401) {
+            throw new AuthenticationRequiredError(connectionName);
+        }
+        return response;
+    };
+}
+
+module.exports = {
+    AuthenticationRequiredError,
+    createAgentFetch,
+    exchangeSsoToken,
+    getSignInLink,
+    getUserToken,
+    signOutUser
+};
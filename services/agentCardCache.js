@@ -0,0 +1,230 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { A2AClient } = require('@a2a-js/sdk/client');
+
+const DEFAULT_TTL_SECONDS = 300;
+
+/**
+ * Waits for a promise, or rejects with the signal's reason once the signal aborts. The promise itself
+ * keeps running, since other callers may be waiting for it too.
+ * @param {Promise} promise - The promise.
+ * @param {AbortSignal} signal - The signal.
+ * @returns {Promise} The promise's result.
+ */
+function untilAborted(promise, signal) {
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Reads how long a response may be reused from its `Cache-Control` header.
+ * @param {Headers} headers - The response headers.
+ * @returns {number|null|undefined} The seconds it may be reused, null when it must not be stored,
+ * or undefined when the header doesn't say.
+ */
+function getMaxAge(headers) {
+    const directives = (headers.get('cache-control') || '').toLowerCase().split(',').map(directive => directive.trim());
+    if (directives.includes('no-store')) {
+        return null;
+    }
+    if (directives.includes('no-cache')) {
+        return 0;
+    }
+    const maxAge = directives.find(directive => directive.startsWith('max-age='));
+    const seconds = maxAge ? parseInt(maxAge.slice('max-age='.length), 10) : NaN;
+    return Number.isNaN(seconds) ? undefined : seconds;
+}
+
+/**
+ * An A2A client that can be copied with an abort signal on every request. The SDK's streaming
+ * methods don't take a signal, so this is how stopping a stream closes its connection to the agent.
+ */
+class AbortableA2AClient extends A2AClient {
+    /**
+     * Creates an instance of AbortableA2AClient.
+     * @param {Object} agentCard - The agent card.
+     * @param {Function} fetchImpl - The fetch that sends the caller's credentials.
+     */
+    constructor(agentCard, fetchImpl) {
+        super(agentCard, { fetchImpl });
+        this.agentCard = agentCard;
+        this.requestFetch = fetchImpl;
+    }
+
+    /**
+     * Gets a copy of the client whose requests are aborted with a signal.
+     * @param {AbortSignal} signal - The signal that aborts the requests.
+     * @returns {AbortableA2AClient} The client.
+     */
+    withSignal(signal) {
+        return new AbortableA2AClient(this.agentCard, (url, init) => this.requestFetch(url, { ...init, signal }));
+    }
+}
+
+/**
+ * AgentCardCache keeps agent cards for the whole process, so a turn doesn't have to fetch
+ * `/.well-known/agent-card.json` again before the agent sees the message.
+ *
+ * Entries are keyed by card URL and auth identity (the connection and user, the app-only credential,
+ * or anonymous), since an agent may show a different card to different callers. A card is reused for
+ * its `Cache-Control` max-age, or the TTL when the response doesn't set one, and is then revalidated
+ * with `If-None-Match` / `If-Modified-Since`. `invalidate` drops an agent's cards (the `refresh agent` command).
+ *
+ * A2A clients are not shared: building one from a cached card makes no request, so each caller gets
+ * its own, bound to the fetch (and so the token and turn) it was created with. A poller or stream
+ * started in one turn keeps calling the agent as that turn's user.
+ */
+class AgentCardCache {
+    /**
+     * Creates an instance of AgentCardCache.
+     * @param {Object} [options] - The cache options.
+     * @param {number} [options.ttlSeconds] - How long cards are reused when the response has no max-age.
+     */
+    constructor(options = {}) {
+        this.ttlMs = (options.ttlSeconds ?? DEFAULT_TTL_SECONDS) * 1000;
+
+        // Cards by card URL and identity, and the last card seen for each URL
+        this.cards = new Map();
+        this.latestCards = new Map();
+
+        // Card requests in flight, so concurrent turns share one request
+        this.requests = new Map();
+    }
+
+    /**
+     * Builds the cache from `A2A_AGENT_CARD_TTL_SECONDS` (default 300).
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {AgentCardCache} The configured cache.
+     */
+    static fromEnv(env = process.env) {
+        const ttlSeconds = env.A2A_AGENT_CARD_TTL_SECONDS ? parseInt(env.A2A_AGENT_CARD_TTL_SECONDS, 10) : undefined;
+        return new AgentCardCache({ ttlSeconds: Number.isNaN(ttlSeconds) ? undefined : ttlSeconds });
+    }
+
+    /**
+     * Gets an agent card, from the cache while it is fresh or else from the agent.
+     * @param {string} cardUrl - The agent card URL.
+     * @param {string} identity - Who the card is fetched as.
+     * @param {Function} fetchImpl - The fetch that sends the identity's credentials.
+     * @param {AbortSignal} [signal] - Stops waiting for the card. The request goes on, so the card is
+     * still cached for the next caller.
+     * @returns {Promise<Object>} The agent card.
+     */
+    async getCard(cardUrl, identity, fetchImpl, signal) {
+        const key = `${cardUrl}#${identity}`;
+        const entry = this.cards.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.card;
+        }
+
+        if (!this.requests.has(key)) {
+            const request = this.fetchCard(key, cardUrl, fetchImpl, entry)
+                .finally(() => this.requests.delete(key));
+            this.requests.set(key, request);
+        }
+        const request = this.requests.get(key);
+        return await (signal ? untilAborted(request, signal) : request);
+    }
+
+    /**
+     * Fetches an agent card, revalidating the cached one when there is one, and stores it.
+     * @param {string} key - The cache key.
+     * @param {string} cardUrl - The agent card URL.
+     * @param {Function} fetchImpl - The fetch that sends the identity's credentials.
+     * @param {Object} [entry] - The stale cache entry.
+     * @returns {Promise<Object>} The agent card.
+     */
+    async fetchCard(key, cardUrl, fetchImpl, entry) {
+        const headers = { 'Accept': 'application/json' };
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        const response = await fetchImpl(cardUrl, { headers });
+        let card;
+        if (response.status === 304 && entry) {
+            card = entry.card;
+        } else if (!response.ok) {
+            throw new Error(`Failed to fetch Agent Card from ${cardUrl}: ${response.status} ${response.statusText}`);
+        } else {
+            card = await response.json();
+        }
+
+        const maxAge = getMaxAge(response.headers);
+        if (maxAge === null) {
+            this.cards.delete(key);
+        } else {
+            this.cards.set(key, {
+                card,
+                etag: response.headers.get('etag') || entry?.etag,
+                lastModified: response.headers.get('last-modified') || entry?.lastModified,
+                expiresAt: Date.now() + (maxAge === undefined ? this.ttlMs : maxAge * 1000)
+            });
+        }
+        this.latestCards.set(cardUrl, card);
+        this.pruneCards();
+        return card;
+    }
+
+    /**
+     * Gets an A2A client for an agent, built from the cached card and bound to the caller's fetch.
+     * @param {string} cardUrl - The agent card URL.
+     * @param {string} identity - Who the client calls the agent as.
+     * @param {Function} fetchImpl - The fetch that sends the identity's credentials.
+     * @param {AbortSignal} [signal] - Stops waiting for the card (see getCard).
+     * @returns {Promise<{a2aClient: AbortableA2AClient, agentCard: Object}>} The client and the agent card.
+     */
+    async getClient(cardUrl, identity, fetchImpl, signal) {
+        const agentCard = await this.getCard(cardUrl, identity, fetchImpl, signal);
+        return { a2aClient: new AbortableA2AClient(agentCard, fetchImpl), agentCard };
+    }
+
+    /**
+     * Gets the last card fetched from a URL, for any identity, without a request.
+     * @param {string} cardUrl - The agent card URL.
+     * @returns {Object|undefined} The agent card.
+     */
+    peekCard(cardUrl) {
+        return this.latestCards.get(cardUrl);
+    }
+
+    /**
+     * Drops the cards of an agent so the next request fetches its card again.
+     * @param {string} cardUrl - The agent card URL.
+     */
+    invalidate(cardUrl) {
+        for (const key of this.cards.keys()) {
+            if (key.startsWith(`${cardUrl}#`)) {
+                this.cards.delete(key);
+            }
+        }
+        this.latestCards.delete(cardUrl);
+    }
+
+    /**
+     * Removes cards that have been stale for longer than the TTL.
+     */
+    pruneCards() {
+        const now = Date.now();
+        for (const [key, entry] of this.cards) {
+            if (entry.expiresAt + this.ttlMs <= now) {
+                this.cards.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    AbortableA2AClient,
+    AgentCardCache
+};
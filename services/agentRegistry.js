@@ -0,0 +1,205 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const path = require('path');
+const { findSchemeConnection, getSchemeConnection } = require('./securitySchemes');
+
+const AGENT_CARD_PATH = '/.well-known/agent-card.json';
+const DEFAULT_AGENT_NAME = 'default';
+
+/**
+ * AgentRegistry holds the named A2A agents the bot is allowed to talk to.
+ *
+ * Agents are read from the `A2A_AGENTS` environment variable (a JSON array) or from the
+ * JSON file named by `A2A_AGENTS_FILE`. Each entry looks like:
+ *
+ *     { "name": "hr", "displayName": "HR Agent", "cardUrl": "https://.../.well-known/agent-card.json", "connectionName": "HrConnection" }
+ *
+ * When neither is set, a single "default" agent is built from `A2A_AGENT_CARD_URL` / `AgentEndpointURL`
+ * so existing single-agent deployments keep working unchanged.
+ *
+ * An agent can also set `scopes` (array or space-separated) or `audience` to get its own token through
+ * the on-behalf-of exchange (see OboTokenBroker) instead of the user's token, or `"auth": "app"` to be
+ * called with the bot's own app-only token (see AppAuthProvider). `expectedClaims` lists the claims the
+ * agent's tokens must have (see validateTokenClaims).
+ *
+ * Agents in `A2A_AGENTS` without a `connectionName` get their sign-in from their card: the card's
+ * `securitySchemes` / `security` are mapped to OAuth connections with `A2A_AUTH_CONNECTIONS`
+ * (e.g. `{ "entra": "EntraConnection", "okta.com": "OktaConnection" }`, see getSchemeConnection), and
+ * agents whose card allows anonymous requests need no sign-in at all. Their `connectionName` is read
+ * from the last card fetched for them (see useAgentCards) each time, so the registry's agent
+ * definitions never change; until a card is known, or when it doesn't say, the bot's default
+ * connection is used.
+ */
+class AgentRegistry {
+    /**
+     * Creates an instance of AgentRegistry.
+     * @param {Array<Object>} agents - The agent definitions.
+     * @param {string} [defaultAgentName] - The name of the agent used when a conversation has not selected one.
+     * @param {Object} [options] - How sign-in is picked for agents that take it from their card.
+     * @param {Object} [options.schemeConnections] - OAuth connection names by security scheme name or identity provider host.
+     */
+    constructor(agents, defaultAgentName, options = {}) {
+        if (!Array.isArray(agents) || agents.length === 0) {
+            throw new Error('[AgentRegistry]: At least one agent must be configured');
+        }
+
+        this.agents = new Map();
+        for (const agent of agents) {
+            const normalized = AgentRegistry.normalizeAgent(agent);
+            if (this.agents.has(normalized.name)) {
+                throw new Error(`[AgentRegistry]: Duplicate agent name '${normalized.name}'`);
+            }
+            if (normalized.connectionFromCard) {
+                const defaultConnectionName = normalized.connectionName;
+                Object.defineProperty(normalized, 'connectionName', {
+                    enumerable: true,
+                    get: () => this.getCardConnectionName(normalized, defaultConnectionName)
+                });
+            }
+            this.agents.set(normalized.name, normalized);
+        }
+
+        const defaultName = defaultAgentName ? defaultAgentName.toLowerCase() : agents[0].name.toLowerCase();
+        if (!this.agents.has(defaultName)) {
+            throw new Error(`[AgentRegistry]: Default agent '${defaultAgentName}' is not configured`);
+        }
+        this.defaultAgentName = defaultName;
+        this.schemeConnections = options.schemeConnections || {};
+        this.getAgentCard = () => undefined;
+    }
+
+    /**
+     * Builds a registry from environment configuration.
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {AgentRegistry} The configured registry.
+     */
+    static fromEnv(env = process.env) {
+        let agents;
+        if (env.A2A_AGENTS) {
+            agents = JSON.parse(env.A2A_AGENTS);
+        } else if (env.A2A_AGENTS_FILE) {
+            const filePath = path.resolve(__dirname, '..', env.A2A_AGENTS_FILE);
+            agents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } else {
+            agents = [{
+                name: DEFAULT_AGENT_NAME,
+                displayName: 'A2A Agent',
+                cardUrl: env.A2A_AGENT_CARD_URL ||
+                    (env.AgentEndpointURL ? env.AgentEndpointURL + AGENT_CARD_PATH : 'http://localhost:4000' + AGENT_CARD_PATH),
+                connectionName: env.connectionName
+            }];
+        }
+
+        // Agents without their own OAuth connection use the bot's default connection until their card says otherwise
+        agents = agents.map(agent => agent.connectionName
+            ? agent
+            : { ...agent, connectionName: env.connectionName, connectionFromCard: true });
+
+        return new AgentRegistry(agents, env.A2A_DEFAULT_AGENT, {
+            schemeConnections: env.A2A_AUTH_CONNECTIONS ? JSON.parse(env.A2A_AUTH_CONNECTIONS) : {}
+        });
+    }
+
+    /**
+     * Validates an agent definition and fills in optional fields.
+     * @param {Object} agent - The raw agent definition.
+     * @returns {Object} The normalized agent definition.
+     */
+    static normalizeAgent(agent) {
+        if (!agent || !agent.name) {
+            throw new Error('[AgentRegistry]: Agent definition is missing a name');
+        }
+        if (!agent.cardUrl) {
+            throw new Error(`[AgentRegistry]: Agent '${agent.name}' is missing a cardUrl`);
+        }
+
+        return {
+            ...agent,
+            name: agent.name.toLowerCase(),
+            displayName: agent.displayName || agent.name,
+            cardUrl: agent.cardUrl
+        };
+    }
+
+    /**
+     * Lists all configured agents.
+     * @returns {Array<Object>} The agent definitions.
+     */
+    list() {
+        return Array.from(this.agents.values());
+    }
+
+    /**
+     * Gets an agent by name (case-insensitive).
+     * @param {string} name - The agent name.
+     * @returns {Object|undefined} The agent definition, if configured.
+     */
+    get(name) {
+        return name ? this.agents.get(name.toLowerCase()) : undefined;
+    }
+
+    /**
+     * Gets the default agent.
+     * @returns {Object} The default agent definition.
+     */
+    getDefault() {
+        return this.agents.get(this.defaultAgentName);
+    }
+
+    /**
+     * Resolves the agent a conversation should talk to, falling back to the default agent
+     * when the stored selection is missing or no longer configured.
+     * @param {string} [name] - The agent name selected for the conversation.
+     * @returns {Object} The agent definition.
+     */
+    resolve(name) {
+        return this.get(name) || this.getDefault();
+    }
+
+    /**
+     * Lists the distinct OAuth connection names used by the configured agents.
+     * @returns {Array<string>} The connection names.
+     */
+    connectionNames() {
+        const connectionNames = [...this.list().map(agent => agent.connectionName), ...Object.values(this.schemeConnections)];
+        return [...new Set(connectionNames.filter(Boolean))];
+    }
+
+    /**
+     * Finds the OAuth connection configured for one of an agent's security schemes, e.g. the scheme
+     * an auth-required task asks for.
+     * @param {string} schemeName - The scheme name.
+     * @param {Object} [agentCard] - The agent's card, which describes the scheme.
+     * @returns {string|undefined} The connection name.
+     */
+    getSchemeConnectionName(schemeName, agentCard) {
+        const scheme = agentCard?.securitySchemes?.[schemeName] || {};
+        return findSchemeConnection(schemeName, scheme, this.schemeConnections);
+    }
+
+    /**
+     * Sets where agents that take their sign-in from their card get the card from.
+     * @param {Function} getAgentCard - Gets the last card fetched from a card URL, if any.
+     */
+    useAgentCards(getAgentCard) {
+        this.getAgentCard = getAgentCard;
+    }
+
+    /**
+     * Gets the OAuth connection of an agent that takes its sign-in from its card: null when the card
+     * allows anonymous requests, or the default connection when there is no card yet, the card declares
+     * no security, or none of its schemes has a configured connection.
+     * @param {Object} agent - The agent definition.
+     * @param {string} defaultConnectionName - The bot's default connection.
+     * @returns {string|null} The connection name.
+     */
+    getCardConnectionName(agent, defaultConnectionName) {
+        const agentCard = this.getAgentCard(agent.cardUrl);
+        const connectionName = agentCard ? getSchemeConnection(agentCard, this.schemeConnections) : undefined;
+        return connectionName === undefined ? defaultConnectionName : connectionName;
+    }
+}
+
+module.exports.AgentRegistry = AgentRegistry;
@@ -0,0 +1,151 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { ClientCertificateCredential, ClientSecretCredential, ManagedIdentityCredential } = require('@azure/identity');
+const { getAgentScopes } = require('./tokenBroker');
+const { preflightToken } = require('./tokenClaims');
+
+const APP_AUTH_MODE = 'app';
+
+/**
+ * Thrown when an agent rejects the bot's app-only token. Signing in wouldn't help: the agent has to
+ * accept the bot's app identity.
+ */
+class AppAuthError extends Error {
+    /**
+     * Creates an instance of AppAuthError.
+     * @param {string} agentName - The agent that rejected the token.
+     */
+    constructor(agentName) {
+        super(`401 Unauthorized - ${agentName} didn't accept the bot's app-only token`);
+        this.name = 'AppAuthError';
+        this.agentName = agentName;
+    }
+}
+
+/**
+ * AppAuthProvider gets app-only tokens (client credentials or managed identity) for agents configured
+ * with `"auth": "app"`, so the bot can talk to them without a signed-in user, e.g. from background work.
+ *
+ * An agent picks its credential with `appCredential`:
+ *
+ *     { "type": "clientSecret" }                                   // the bot's MicrosoftAppId / MicrosoftAppPassword
+ *     { "type": "certificate", "certificatePath": "./cert.pem" }   // the bot's app id with a certificate
+ *     { "type": "managedIdentity", "clientId": "..." }             // user-assigned (or system-assigned without clientId)
+ *
+ * `tenantId` and `clientId` default to the bot's app registration. Without `appCredential`, a client
+ * secret is used when the bot has one and the managed identity otherwise. The token's scope comes from
+ * the agent's `scopes` / `audience` or its card (see getAgentScopes).
+ */
+class AppAuthProvider {
+    /**
+     * Creates an instance of AppAuthProvider.
+     * @param {Object} [defaults] - The bot's app registration, used when an agent doesn't name its own.
+     * @param {string} [defaults.tenantId] - The tenant.
+     * @param {string} [defaults.clientId] - The app (client) id.
+     * @param {string} [defaults.clientSecret] - The app's client secret.
+     */
+    constructor(defaults = {}) {
+        this.defaults = defaults;
+
+        // Credentials by agent name; each caches its own tokens until they expire
+        this.credentials = new Map();
+    }
+
+    /**
+     * Builds the provider from the bot's app registration (`MicrosoftAppTenantId`, `MicrosoftAppId`,
+     * `MicrosoftAppPassword`).
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {AppAuthProvider} The configured provider.
+     */
+    static fromEnv(env = process.env) {
+        return new AppAuthProvider({
+            tenantId: env.MicrosoftAppTenantId,
+            clientId: env.MicrosoftAppId,
+            clientSecret: env.MicrosoftAppPassword
+        });
+    }
+
+    /**
+     * Checks whether an agent is called with app-only tokens.
+     * @param {Object} agent - The agent definition from the registry.
+     * @returns {boolean} True for app-only agents.
+     */
+    static isAppOnlyAgent(agent) {
+        return agent?.auth === APP_AUTH_MODE;
+    }
+
+    /**
+     * Gets the credential for an agent, creating it on first use.
+     * @param {Object} agent - The agent definition from the registry.
+     * @returns {TokenCredential} The credential.
+     */
+    getCredential(agent) {
+        let credential = this.credentials.get(agent.name);
+        if (credential) {
+            return credential;
+        }
+
+        const config = agent.appCredential || {};
+        const tenantId = config.tenantId || this.defaults.tenantId;
+        const clientId = config.clientId || this.defaults.clientId;
+        const type = config.type || (config.certificatePath ? 'certificate' : (this.defaults.clientSecret ? 'clientSecret' : 'managedIdentity'));
+
+        if (type === 'clientSecret') {
+            credential = new ClientSecretCredential(tenantId, clientId, config.clientSecret || this.defaults.clientSecret);
+        } else if (type === 'certificate') {
+            credential = new ClientCertificateCredential(tenantId, clientId, {
+                certificatePath: config.certificatePath,
+                certificatePassword: config.certificatePassword
+            });
+        } else if (type === 'managedIdentity') {
+            // Only a user-assigned identity has a client id of its own
+            credential = config.clientId ? new ManagedIdentityCredential({ clientId: config.clientId }) : new ManagedIdentityCredential();
+        } else {
+            throw new Error(`[AppAuthProvider]: Unknown credential type '${type}' for agent '${agent.name}'`);
+        }
+
+        this.credentials.set(agent.name, credential);
+        return credential;
+    }
+
+    /**
+     * Gets an app-only token for an agent.
+     * @param {Object} agent - The agent definition from the registry.
+     * @param {Object} [agentCard] - The agent card, used when the agent's configuration has no scopes.
+     * @returns {Promise<string>} The token.
+     */
+    async getToken(agent, agentCard) {
+        const scopes = getAgentScopes(agent, agentCard);
+        if (scopes.length === 0) {
+            throw new Error(`[AppAuthProvider]: Agent '${agent.name}' needs an audience or scopes for app-only auth`);
+        }
+
+        const accessToken = await this.getCredential(agent).getToken(scopes);
+        return accessToken.token;
+    }
+
+    /**
+     * Creates the fetch used by A2A clients for an app-only agent. It doesn't depend on a turn, so
+     * clients keep working in background work (polling, notifications).
+     * @param {Object} agent - The agent definition from the registry.
+     * @param {Function} [getAgentCard] - Returns the agent card once it has been fetched.
+     * @returns {Function} The fetch implementation.
+     */
+    createFetch(agent, getAgentCard = () => undefined) {
+        return async (url, init = {}) => {
+            const headers = new Headers(init.headers);
+            const token = preflightToken(await this.getToken(agent, getAgentCard()), agent);
+            headers.set('Authorization', `Bearer ${token}`);
+
+            const response = await fetch(url, { ...init, headers });
+            if (response.status === 401) {
+                throw new AppAuthError(agent.displayName || agent.name);
+            }
+            return response;
+        };
+    }
+}
+
+module.exports.AppAuthError = AppAuthError;
+module.exports.AppAuthProvider = AppAuthProvider;
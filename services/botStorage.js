@@ -0,0 +1,221 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const path = require('path');
+const { MemoryStorage, UserState, calculateChangeHash } = require('botbuilder');
+const { FileStorage } = require('./fileStorage');
+const { SharedConversationState } = require('./sharedConversations');
+
+const DEFAULT_FILE_STORAGE_PATH = '.data/state';
+const DEFAULT_CONTAINER_NAME = 'bot-state';
+const DEFAULT_COSMOS_DATABASE = 'bot';
+
+// How many times a save is merged into state another turn saved first before giving up
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * MemoryStorage whose writes resolve to the new eTags, so state can be saved again in the same turn
+ * without reading it back.
+ */
+class ETagMemoryStorage extends MemoryStorage {
+    /**
+     * Writes items to storage.
+     * @param {Object} changes - The items by key.
+     * @returns {Promise<Object>} The new eTags by key.
+     */
+    write(changes) {
+        // MemoryStorage writes synchronously, so the items are read before any other write can run
+        const written = super.write(changes);
+        const eTags = {};
+        for (const key of Object.keys(changes || {})) {
+            eTags[key] = this.memory[key] && JSON.parse(this.memory[key]).eTag;
+        }
+        return written.then(() => eTags);
+    }
+}
+
+/**
+ * Creates the storage for bot, dialog and token-exchange state from `BOT_STORAGE`:
+ *
+ * - `memory` (the default): lost on restart.
+ * - `file`: JSON files under `BOT_STORAGE_PATH` (default `.data/state`), for a dev box.
+ * - `blob`: Azure Blob Storage, from `BOT_STORAGE_BLOB_CONNECTION_STRING` and `BOT_STORAGE_BLOB_CONTAINER`.
+ * - `cosmos`: Azure Cosmos DB, from `BOT_STORAGE_COSMOS_ENDPOINT`, `BOT_STORAGE_COSMOS_KEY`,
+ *   `BOT_STORAGE_COSMOS_DATABASE` and `BOT_STORAGE_COSMOS_CONTAINER`.
+ * @param {Object} env - The environment variables (defaults to process.env).
+ * @returns {Storage} The storage.
+ */
+function createStorage(env = process.env) {
+    const type = (env.BOT_STORAGE || 'memory').toLowerCase();
+    console.log(`BotStorage: Keeping bot state in ${type} storage`);
+
+    if (type === 'memory') {
+        return new ETagMemoryStorage();
+    }
+    if (type === 'file') {
+        return new FileStorage(path.resolve(__dirname, '..', env.BOT_STORAGE_PATH || DEFAULT_FILE_STORAGE_PATH));
+    }
+    if (type === 'blob') {
+        if (!env.BOT_STORAGE_BLOB_CONNECTION_STRING) {
+            throw new Error('[BotStorage]: BOT_STORAGE_BLOB_CONNECTION_STRING is required for blob storage');
+        }
+        const { BlobsStorage } = require('botbuilder-azure-blobs');
+        return new BlobsStorage(env.BOT_STORAGE_BLOB_CONNECTION_STRING, env.BOT_STORAGE_BLOB_CONTAINER || DEFAULT_CONTAINER_NAME);
+    }
+    if (type === 'cosmos') {
+        if (!env.BOT_STORAGE_COSMOS_ENDPOINT || !env.BOT_STORAGE_COSMOS_KEY) {
+            throw new Error('[BotStorage]: BOT_STORAGE_COSMOS_ENDPOINT and BOT_STORAGE_COSMOS_KEY are required for Cosmos DB storage');
+        }
+        const { CosmosDbPartitionedStorage } = require('botbuilder-azure');
+        return new CosmosDbPartitionedStorage({
+            cosmosDbEndpoint: env.BOT_STORAGE_COSMOS_ENDPOINT,
+            authKey: env.BOT_STORAGE_COSMOS_KEY,
+            databaseId: env.BOT_STORAGE_COSMOS_DATABASE || DEFAULT_COSMOS_DATABASE,
+            containerId: env.BOT_STORAGE_COSMOS_CONTAINER || DEFAULT_CONTAINER_NAME,
+            compatibilityMode: false
+        });
+    }
+    throw new Error(`[BotStorage]: Unknown BOT_STORAGE '${env.BOT_STORAGE}'. Use memory, file, blob or cosmos`);
+}
+
+/**
+ * Checks whether a storage write failed because another writer changed the item since it was read.
+ * @param {Error} error - The error.
+ * @returns {boolean} True for eTag conflicts.
+ */
+function isStorageConflict(error) {
+    const message = (error?.message || '').toLowerCase();
+    return error?.statusCode === 412 || error?.code === 412 ||
+        message.includes('etag conflict') || message.includes('precondition is not met');
+}
+
+/**
+ * Copies state without its eTag.
+ * @param {Object} state - The state.
+ * @returns {Object} The copy.
+ */
+function cloneState(state) {
+    return JSON.parse(calculateChangeHash(state || {}));
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or null).
+ * @param {*} value - The value.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Applies the changes another turn saved (from `before` to `after`) to this turn's state, except
+ * where this turn changed the same value, so both turns' changes are kept. Objects are merged
+ * property by property; other values, including arrays, are replaced. The state is changed in place,
+ * so objects the turn still holds stay part of it.
+ * @param {Object} state - This turn's state.
+ * @param {Object} before - The state as this turn read it.
+ * @param {Object} after - The state the other turn saved.
+ */
+function applySavedChanges(state, before, after) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (key === 'eTag' || JSON.stringify(before[key]) === JSON.stringify(after[key])) {
+            continue;
+        }
+        if (JSON.stringify(state[key]) === JSON.stringify(before[key])) {
+            if (key in after) {
+                state[key] = after[key];
+            } else {
+                delete state[key];
+            }
+        } else if (isPlainObject(before[key]) && isPlainObject(after[key]) && isPlainObject(state[key])) {
+            applySavedChanges(state[key], before[key], after[key]);
+        }
+    }
+}
+
+/**
+ * Makes a bot state class save with the eTag its state was read with instead of '*', so the write
+ * fails when another turn (the Cancel button, a notification, another app instance) saved the same
+ * state in between rather than overwriting it. The other turn's changes are then merged into this
+ * turn's state, which is written again.
+ * @param {Function} BotStateClass - A ConversationState or UserState class.
+ * @returns {Function} The bot state class.
+ */
+function withOptimisticConcurrency(BotStateClass) {
+    return class extends BotStateClass {
+        /**
+         * Creates an instance of the bot state.
+         * @param {...*} args - The arguments of the bot state class.
+         */
+        constructor(...args) {
+            super(...args);
+            // The state as read (or last saved) this turn, to tell what the turn changed
+            this.readStateKey = Symbol('readState');
+        }
+
+        /**
+         * Reads the state into the turn, unless it was already read.
+         * @param {TurnContext} context - The context object for the turn.
+         * @param {boolean} [force] - Read even when the state is cached.
+         * @returns {Promise<Object>} The state.
+         */
+        async load(context, force = false) {
+            const cached = context.turnState.get(this.stateKey);
+            const state = await super.load(context, force);
+            if (force || !cached?.state) {
+                context.turnState.set(this.readStateKey, cloneState(state));
+            }
+            return state;
+        }
+
+        /**
+         * Saves the state if it changed during the turn. When another turn saved it first, its changes
+         * are merged into this turn's state (see applySavedChanges) and the save is tried again.
+         * @param {TurnContext} context - The context object for the turn.
+         * @param {boolean} [force] - Save even when nothing changed.
+         */
+        async saveChanges(context, force = false) {
+            const cached = context.turnState.get(this.stateKey);
+            if (!force && (!cached || cached.hash === calculateChangeHash(this.skipProperties(cached.state)))) {
+                return;
+            }
+
+            const key = await this.storageKey(context);
+            let readState = context.turnState.get(this.readStateKey) || {};
+            const state = cached?.state || {};
+            state.eTag = state.eTag || '*';
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const eTags = await this.storage.write({ [key]: state });
+                    // Storages that don't return the new eTag make the next save merge into this one
+                    state.eTag = eTags?.[key] || state.eTag;
+                    break;
+                } catch (error) {
+                    if (!isStorageConflict(error) || attempt >= MAX_SAVE_ATTEMPTS) {
+                        throw error;
+                    }
+                    console.log(`BotStorage: ${key} was saved by another turn; merging this turn's changes`);
+                    const stored = (await this.storage.read([key]))[key] || {};
+                    applySavedChanges(state, readState, cloneState(stored));
+                    readState = cloneState(stored);
+                    state.eTag = stored.eTag || '*';
+                }
+            }
+
+            context.turnState.set(this.stateKey, { state, hash: calculateChangeHash(this.skipProperties(state)) });
+            context.turnState.set(this.readStateKey, cloneState(state));
+        }
+    };
+}
+
+// Conversation state is kept per user in group chats and channels (see SharedConversationState)
+const ConcurrentConversationState = withOptimisticConcurrency(SharedConversationState);
+const ConcurrentUserState = withOptimisticConcurrency(UserState);
+
+module.exports = {
+    ConcurrentConversationState,
+    ConcurrentUserState,
+    createStorage,
+    isStorageConflict
+};
@@ -0,0 +1,194 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// MIME types agents use to mark a data part as an Adaptive Card
+const ADAPTIVE_CARD_MIME_TYPES = [
+    'application/vnd.microsoft.card.adaptive',
+    'application/vnd.microsoft.card.adaptive+json'
+];
+
+// Key added to the data of submit actions on agent cards, so submissions can be sent back to the agent
+const AGENT_CARD_SOURCE_KEY = 'a2aCard';
+
+// Largest card sent to Teams; messages are limited to about 28 KB
+const MAX_CARD_BYTES = 24 * 1024;
+
+// Limits for generated tables
+const MAX_TABLE_COLUMNS = 8;
+const MAX_TABLE_ROWS = 50;
+
+/**
+ * Checks whether a data part holds an Adaptive Card, by its MIME type or its `type` property.
+ * @param {Object} part - The A2A data part.
+ * @returns {boolean} True when the data is an Adaptive Card.
+ */
+function isAdaptiveCardPart(part) {
+    const mimeType = part.metadata?.mimeType || part.mimeType;
+    return ADAPTIVE_CARD_MIME_TYPES.includes(mimeType) || part.data?.type === 'AdaptiveCard';
+}
+
+/**
+ * Formats a value for a card cell or fact.
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Builds a table card for an array of objects.
+ * @param {Array<Object>} rows - The rows.
+ * @returns {Object} The adaptive card.
+ */
+function createTableCard(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))].slice(0, MAX_TABLE_COLUMNS);
+    const cell = (text, bold) => ({
+        type: "TableCell",
+        items: [{ type: "TextBlock", text, wrap: true, weight: bold ? "Bolder" : "Default" }]
+    });
+
+    const body = [
+        {
+            type: "Table",
+            firstRowAsHeader: true,
+            columns: columns.map(() => ({ width: 1 })),
+            rows: [
+                { type: "TableRow", cells: columns.map(column => cell(column, true)) },
+                ...rows.slice(0, MAX_TABLE_ROWS).map(row => ({
+                    type: "TableRow",
+                    cells: columns.map(column => cell(formatValue(row[column])))
+                }))
+            ]
+        }
+    ];
+    if (rows.length > MAX_TABLE_ROWS) {
+        body.push({
+            type: "TextBlock",
+            text: `Showing ${MAX_TABLE_ROWS} of ${rows.length} rows.`,
+            isSubtle: true
+        });
+    }
+
+    return { type: "AdaptiveCard", version: "1.5", body };
+}
+
+/**
+ * Builds a card for structured data: a table for a list of objects, a FactSet for an object,
+ * and a text block for anything else.
+ * @param {*} data - The data.
+ * @returns {Object} The adaptive card.
+ */
+function createDataCard(data) {
+    if (Array.isArray(data) && data.length > 0 && data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        return createTableCard(data);
+    }
+
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return {
+            type: "AdaptiveCard",
+            version: "1.4",
+            body: [
+                {
+                    type: "FactSet",
+                    facts: Object.entries(data).map(([title, value]) => ({ title, value: formatValue(value) }))
+                }
+            ]
+        };
+    }
+
+    return {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [{ type: "TextBlock", text: formatValue(data), wrap: true }]
+    };
+}
+
+/**
+ * Adds the card's source (agent, task and context) to the data of every Action.Submit and
+ * Action.Execute in a card, including cards nested in Action.ShowCard.
+ * @param {Object} card - The adaptive card; it is copied, not changed.
+ * @param {Object} source - The agent name, task id and context id the card came from.
+ * @returns {Object} The tagged card.
+ */
+function tagCardActions(card, source) {
+    const tag = (node) => {
+        if (Array.isArray(node)) return node.map(tag);
+        if (!node || typeof node !== 'object') return node;
+
+        const copy = {};
+        for (const [key, value] of Object.entries(node)) {
+            copy[key] = tag(value);
+        }
+        if (node.type === 'Action.Submit' || node.type === 'Action.Execute') {
+            const data = node.data ?? {};
+            copy.data = {
+                ...(typeof data === 'object' ? data : { value: data }),
+                [AGENT_CARD_SOURCE_KEY]: source
+            };
+        }
+        return copy;
+    };
+    return tag(card);
+}
+
+/**
+ * Builds the read-only card that replaces an agent card once it has been submitted.
+ * @param {Object} values - The submitted values.
+ * @returns {Object} The adaptive card.
+ */
+function createSubmittedCard(values) {
+    const facts = Object.entries(values).map(([title, value]) => ({ title, value: formatValue(value) }));
+    return {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+            {
+                type: "TextBlock",
+                text: "✅ Submitted",
+                weight: "Bolder"
+            },
+            ...(facts.length > 0 ? [{ type: "FactSet", facts }] : [])
+        ]
+    };
+}
+
+/**
+ * Splits the data of a submitted agent card into its source and the values the user entered.
+ * @param {Object} data - The submitted data (Action.Submit value or Action.Execute data).
+ * @returns {{source: Object, values: Object}|undefined} The source and values, or undefined when the card didn't come from an agent.
+ */
+function parseCardSubmission(data) {
+    const source = data && typeof data === 'object' ? data[AGENT_CARD_SOURCE_KEY] : undefined;
+    if (!source?.agentName) {
+        return undefined;
+    }
+    const { [AGENT_CARD_SOURCE_KEY]: _source, ...values } = data;
+    return { source, values };
+}
+
+/**
+ * Gets the card to show for a data part: the agent's own Adaptive Card, or one generated from the data.
+ * Submit actions on the agent's card are tagged with the source so submissions get back to the agent.
+ * @param {Object} part - The A2A data part.
+ * @param {Object} source - The agent name, task id and context id the part came from.
+ * @returns {Object|undefined} The adaptive card, or undefined when it is too large to send.
+ */
+function getDataPartCard(part, source) {
+    const card = isAdaptiveCardPart(part) ? tagCardActions(part.data, source) : createDataCard(part.data);
+    if (Buffer.byteLength(JSON.stringify(card)) > MAX_CARD_BYTES) {
+        return undefined;
+    }
+    return card;
+}
+
+module.exports = {
+    isAdaptiveCardPart,
+    createDataCard,
+    createSubmittedCard,
+    getDataPartCard,
+    parseCardSubmission,
+    tagCardActions
+};
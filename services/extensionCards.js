@@ -0,0 +1,167 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { CardFactory } = require('botbuilder');
+const { getMessageText, getTextFromParts } = require('./a2aParts');
+
+// How much of an answer the search result list shows
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Gets the answers in an agent's reply to a message extension: the text of a message, or each
+ * text artifact of a task (its status message when it has none).
+ * @param {Object} result - The message or task the agent returned.
+ * @returns {Array<{title: string|undefined, text: string}>} The answers; empty when there is no text.
+ */
+function getResultEntries(result) {
+    if (result.kind === 'message') {
+        const text = getTextFromParts(result.parts);
+        return text ? [{ text }] : [];
+    }
+
+    const entries = (result.artifacts || [])
+        .map(artifact => ({ title: artifact.name, text: getTextFromParts(artifact.parts) }))
+        .filter(entry => entry.text);
+    if (entries.length === 0 && result.status?.message) {
+        const text = getMessageText(result.status.message);
+        return text ? [{ text }] : [];
+    }
+    return entries;
+}
+
+/**
+ * Builds the adaptive card for an agent's answer that the user inserts into a chat.
+ * @param {Object} options - The card content.
+ * @param {string} options.agentName - The display name of the agent.
+ * @param {string} [options.skillName] - The skill that was asked.
+ * @param {string} options.question - What the agent was asked.
+ * @param {string} [options.title] - The title of the answer (e.g. the artifact name).
+ * @param {string} options.text - The answer.
+ * @returns {Object} The adaptive card.
+ */
+function createAgentAnswerCard({ agentName, skillName, question, title, text }) {
+    return {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+            {
+                type: "TextBlock",
+                text: `🤖 ${agentName}${skillName ? ` · ${skillName}` : ''}`,
+                weight: "Bolder"
+            },
+            {
+                type: "TextBlock",
+                text: question,
+                isSubtle: true,
+                wrap: true
+            },
+            ...(title ? [{ type: "TextBlock", text: title, weight: "Bolder", wrap: true }] : []),
+            {
+                type: "TextBlock",
+                text,
+                wrap: true
+            }
+        ]
+    };
+}
+
+/**
+ * Builds the message extension results for an agent's reply: one insertable card per answer,
+ * each with a thumbnail preview for the result list.
+ * @param {Object} options - The result content.
+ * @param {string} options.agentName - The display name of the agent.
+ * @param {string} [options.skillName] - The skill that was asked.
+ * @param {string} options.question - What the agent was asked.
+ * @param {Object} options.result - The message or task the agent returned.
+ * @returns {Array<Object>} The message extension attachments.
+ */
+function createAgentResults({ agentName, skillName, question, result }) {
+    return getResultEntries(result).map(({ title, text }) => {
+        const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+        return {
+            ...CardFactory.adaptiveCard(createAgentAnswerCard({ agentName, skillName, question, title, text })),
+            preview: CardFactory.thumbnailCard(title || `${agentName}${skillName ? ` · ${skillName}` : ''}`, preview)
+        };
+    });
+}
+
+/**
+ * Builds the task module card of the 'Send to an agent' message action: the selected message, a
+ * choice of agent or agent skill, the instruction, and whether to post the answer to the conversation.
+ * @param {Object} options - The card content.
+ * @param {Array<{title: string, value: string}>} options.targets - The agents and skills to choose from.
+ * @param {string} options.defaultTarget - The target selected at first.
+ * @param {string} options.sender - Who posted the message.
+ * @param {string} options.text - The text of the message.
+ * @returns {Object} The adaptive card.
+ */
+function createSendToAgentCard({ targets, defaultTarget, sender, text }) {
+    return {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+            {
+                type: "Container",
+                style: "emphasis",
+                items: [
+                    { type: "TextBlock", text: sender, weight: "Bolder", size: "Small" },
+                    {
+                        type: "TextBlock",
+                        text: text.length > PREVIEW_LENGTH * 2 ? `${text.slice(0, PREVIEW_LENGTH * 2)}…` : text || '(no text)',
+                        wrap: true,
+                        isSubtle: true
+                    }
+                ]
+            },
+            {
+                type: "Input.ChoiceSet",
+                id: "target",
+                label: "Agent",
+                value: defaultTarget,
+                choices: targets
+            },
+            {
+                type: "Input.Text",
+                id: "instruction",
+                label: "Instruction",
+                placeholder: "e.g. Summarize this, or create a ticket from this",
+                isMultiline: true,
+                isRequired: true,
+                errorMessage: "Tell the agent what to do with the message"
+            },
+            {
+                type: "Input.Toggle",
+                id: "post",
+                title: "Post the answer to this conversation",
+                value: "false",
+                valueOn: "true",
+                valueOff: "false"
+            }
+        ],
+        actions: [
+            { type: "Action.Submit", title: "Send" }
+        ]
+    };
+}
+
+/**
+ * Builds a message extension response that shows a message instead of results.
+ * @param {string} text - The message.
+ * @returns {Object} The response.
+ */
+function createExtensionMessage(text) {
+    return {
+        composeExtension: {
+            type: 'message',
+            text
+        }
+    };
+}
+
+module.exports = {
+    createAgentAnswerCard,
+    createAgentResults,
+    createExtensionMessage,
+    createSendToAgentCard,
+    getResultEntries
+};
@@ -0,0 +1,539 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+// Largest image sent inline as a data URI; Teams rejects activities much bigger than ~100 KB
+const INLINE_IMAGE_MAX_BYTES = 64 * 1024;
+
+// How long a file offered with a file-consent card can still be accepted
+const PENDING_FILE_TTL_MS = 60 * 60 * 1000;
+
+// How many files waiting for a file-consent answer are kept in memory, by total size
+const PENDING_FILES_MAX_FILES = 5;
+
+// How many redirects a download from an agent-supplied URI follows
+const MAX_REDIRECTS = 3;
+
+// Address ranges an agent-supplied URI must not point into: loopback, private, link-local
+// (including cloud metadata endpoints), carrier-grade NAT, unique-local and unspecified
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+// Attachment type Teams uses for files uploaded to a personal chat with the bot
+const FILE_DOWNLOAD_INFO = 'application/vnd.microsoft.teams.file.download.info';
+
+// MIME types for the file types Teams reports on uploaded files
+const MIME_TYPES = {
+    csv: 'text/csv',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    gif: 'image/gif',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    json: 'application/json',
+    md: 'text/markdown',
+    pdf: 'application/pdf',
+    png: 'image/png',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    txt: 'text/plain',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    xml: 'application/xml',
+    zip: 'application/zip'
+};
+
+/**
+ * Formats a size in bytes for messages.
+ * @param {number} bytes - The size.
+ * @returns {string} The size in KB or MB.
+ */
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+        : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Checks whether an address is one an agent-supplied URI must not reach (see BLOCKED_ADDRESSES).
+ * IPv4 addresses written as IPv6 (`::ffff:10.0.0.1`) are checked as IPv4.
+ * @param {string} address - The IP address.
+ * @returns {boolean} True for loopback, private and link-local addresses.
+ */
+function isBlockedAddress(address) {
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+        return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolves a host like `dns.lookup`, failing when it resolves to a blocked address. Used as the
+ * connection lookup for agent-supplied URIs, so the address that is checked is the one connected to.
+ * @param {string} hostname - The host name.
+ * @param {Object} options - The lookup options from the socket.
+ * @param {Function} callback - Called with the error, or the address(es) and family.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+            callback(new Error(`${hostname} is not a public host`));
+            return;
+        }
+        callback(null, address, family);
+    });
+}
+
+// Connections for agent-supplied URIs, which resolve their host again when connecting and refuse
+// blocked addresses; checkPublicUrl's own lookup can't stop a host that answers differently the
+// second time (DNS rebinding)
+const PUBLIC_DISPATCHER = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Checks that an agent-supplied URL uses https and that its host only resolves to public addresses,
+ * so an agent can't make the bot fetch from its own network. The download itself must go through
+ * PUBLIC_DISPATCHER, which checks the address again as it connects.
+ * @param {URL} url - The URL.
+ */
+async function checkPublicUrl(url) {
+    if (url.protocol !== 'https:') {
+        throw new Error(`unsupported URI scheme ${url.protocol}`);
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new Error(`${url.hostname} is not a public host`);
+    }
+}
+
+/**
+ * Checks whether a MIME type matches one of an agent's input modes. Modes may be MIME types,
+ * wildcards such as `image/*`, or `*` / `*\/*`.
+ * @param {string} mimeType - The MIME type of the file.
+ * @param {Array<string>} inputModes - The accepted input modes.
+ * @returns {boolean} True when the agent accepts the type.
+ */
+function acceptsMimeType(mimeType, inputModes) {
+    const [type] = mimeType.split('/');
+    return inputModes.some(mode => {
+        const normalized = mode.toLowerCase();
+        return normalized === '*' || normalized === '*/*' ||
+            normalized === mimeType || normalized === `${type}/*`;
+    });
+}
+
+/**
+ * Gets the input modes an agent accepts for a message: the routed skill's `inputModes` (or the
+ * card's `defaultInputModes` when the skill declares none), or every mode any skill accepts
+ * when no skill was picked.
+ * @param {Object} agentCard - The agent card.
+ * @param {Object} [skill] - The skill the message was routed to.
+ * @returns {Array<string>|undefined} The input modes, or undefined when the card doesn't declare any.
+ */
+function getInputModes(agentCard, skill) {
+    const defaultModes = agentCard?.defaultInputModes;
+    if (skill) {
+        return skill.inputModes || defaultModes;
+    }
+
+    const skillModes = (agentCard?.skills || []).flatMap(s => s.inputModes || []);
+    if (!defaultModes && skillModes.length === 0) {
+        return undefined;
+    }
+    return [...(defaultModes || []), ...skillModes];
+}
+
+/**
+ * FileAttachmentService moves files between Teams and A2A agents.
+ *
+ * Outgoing, A2A file parts become Teams attachments. The file is downloaded from the part's URI
+ * (or decoded from its inline bytes) and checked against the size limit. Small images are sent
+ * inline; other files are offered with a file-consent card and uploaded to the user's OneDrive
+ * once they accept. Teams only supports file-consent cards in personal chats, so elsewhere the
+ * bot falls back to a link.
+ *
+ * Incoming, files and images attached to a Teams message are downloaded so they can be sent to
+ * the agent as file parts.
+ *
+ * Tokens are only sent to the origin they belong to: the agent's token to the agent, the bot's
+ * token to the Bot Framework service.
+ */
+class FileAttachmentService {
+    /**
+     * Creates an instance of FileAttachmentService.
+     * @param {Object} [options] - File options.
+     * @param {number} [options.maxFileBytes] - The largest file delivered to Teams or sent to an agent.
+     */
+    constructor(options = {}) {
+        this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+        this.maxPendingBytes = this.maxFileBytes * PENDING_FILES_MAX_FILES;
+        this.pendingFiles = new Map();
+    }
+
+    /**
+     * Builds the service from environment configuration (A2A_MAX_FILE_BYTES).
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {FileAttachmentService} The configured service.
+     */
+    static fromEnv(env = process.env) {
+        return new FileAttachmentService({
+            maxFileBytes: Number(env.A2A_MAX_FILE_BYTES) || undefined
+        });
+    }
+
+    /**
+     * Sends an A2A file part to Teams as an inline image, a file-consent card, or a message
+     * explaining why the file couldn't be attached.
+     * @param {TurnContext} context - The turn context.
+     * @param {Object} part - The A2A file part.
+     * @param {Object} [download] - How to download files from the agent.
+     * @param {string} [download.agentOrigin] - The origin of the agent that sent the part.
+     * @param {string} [download.accessToken] - The token for the agent, sent only to its own origin.
+     */
+    async sendFilePart(context, part, download = {}) {
+        const file = part.file || {};
+        const name = file.name || part.filename || 'file';
+        const mimeType = file.mimeType || 'application/octet-stream';
+
+        let content;
+        try {
+            content = await this.readFile(file, download);
+        } catch (error) {
+            console.log(`FileAttachmentService: Could not read file ${name}:`, error.message);
+            await context.sendActivity(`🗂️ File: ${name} (${error.message})`);
+            return;
+        }
+
+        if (mimeType.startsWith('image/') && content.length <= INLINE_IMAGE_MAX_BYTES) {
+            await context.sendActivity({
+                attachments: [{
+                    contentType: mimeType,
+                    contentUrl: `data:${mimeType};base64,${content.toString('base64')}`,
+                    name
+                }]
+            });
+            return;
+        }
+
+        if (context.activity.conversation.conversationType !== 'personal') {
+            const link = file.uri ? `: ${file.uri}` : '';
+            await context.sendActivity(`🗂️ File: ${name} (${formatSize(content.length)}) can only be sent in a 1:1 chat with the bot${link}`);
+            return;
+        }
+
+        await context.sendActivity({ attachments: [this.createConsentCard(name, mimeType, content)] });
+    }
+
+    /**
+     * Reads the contents of a file part, enforcing the size limit.
+     * @param {Object} file - The part's file (`uri` or base64 `bytes`).
+     * @param {Object} download - How to download files from the agent.
+     * @returns {Promise<Buffer>} The file contents.
+     */
+    async readFile(file, download) {
+        if (file.bytes) {
+            const content = Buffer.from(file.bytes, 'base64');
+            this.checkSize(content.length);
+            return content;
+        }
+        if (!file.uri) {
+            throw new Error('no content');
+        }
+
+        return (await this.downloadFromAgent(new URL(file.uri), download)).content;
+    }
+
+    /**
+     * Downloads a file from a URI an agent supplied. Files on the agent's own origin (which the bot
+     * already calls) are fetched with the agent's token; anything else must be a public https URL,
+     * and so must every redirect.
+     * @param {URL} url - The URL.
+     * @param {Object} download - How to download files from the agent.
+     * @returns {Promise<{content: Buffer, contentType: string}>} The contents and the response content type.
+     */
+    async downloadFromAgent(url, download) {
+        for (let redirects = 0; ; redirects++) {
+            const isAgentOrigin = url.origin === download.agentOrigin;
+            if (!isAgentOrigin) {
+                await checkPublicUrl(url);
+            } else if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                throw new Error(`unsupported URI scheme ${url.protocol}`);
+            }
+
+            const headers = {};
+            if (download.accessToken && isAgentOrigin) {
+                headers.Authorization = `Bearer ${download.accessToken}`;
+            }
+
+            const result = await this.download(url, headers, {
+                redirect: 'manual',
+                dispatcher: isAgentOrigin ? undefined : PUBLIC_DISPATCHER
+            });
+            if (!result.location) {
+                return result;
+            }
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error('too many redirects');
+            }
+            url = new URL(result.location, url);
+        }
+    }
+
+    /**
+     * Downloads the files and images attached to a Teams message: uploaded files (file download
+     * info), pasted images and other attachments with a content URL. Cards and the HTML copy of
+     * the message text are skipped.
+     * @param {TurnContext} context - The turn context.
+     * @returns {Promise<Array<{name: string, mimeType: string, content?: Buffer, error?: string}>>} The files; `error` is set when one couldn't be read.
+     */
+    async readTeamsAttachments(context) {
+        const files = [];
+        for (const attachment of context.activity.attachments || []) {
+            const isUpload = attachment.contentType === FILE_DOWNLOAD_INFO;
+            const isMedia = /^(image|audio|video|application)\//.test(attachment.contentType) &&
+                attachment.contentUrl && !attachment.contentType.startsWith('application/vnd.microsoft.');
+            if (!isUpload && !isMedia) continue;
+
+            const name = attachment.name || 'attachment';
+            try {
+                const file = isUpload
+                    ? await this.downloadUpload(attachment)
+                    : await this.downloadMedia(context, attachment);
+                files.push({ name, ...file });
+            } catch (error) {
+                console.log(`FileAttachmentService: Could not read attachment ${name}:`, error.message);
+                files.push({ name, mimeType: attachment.contentType, error: error.message });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Downloads a file uploaded to a personal chat. The download URL is pre-authorized.
+     * @param {Attachment} attachment - The file download info attachment.
+     * @returns {Promise<{mimeType: string, content: Buffer}>} The file.
+     */
+    async downloadUpload(attachment) {
+        const fileType = (attachment.content?.fileType || '').toLowerCase();
+        const { content } = await this.download(attachment.content.downloadUrl, {});
+        return { mimeType: MIME_TYPES[fileType] || 'application/octet-stream', content };
+    }
+
+    /**
+     * Downloads a pasted image or other media attachment. Attachments hosted by the Bot Framework
+     * service need the bot's own token; it is not sent anywhere else.
+     * @param {TurnContext} context - The turn context.
+     * @param {Attachment} attachment - The attachment.
+     * @returns {Promise<{mimeType: string, content: Buffer}>} The file.
+     */
+    async downloadMedia(context, attachment) {
+        const headers = {};
+        const serviceOrigin = context.activity.serviceUrl && new URL(context.activity.serviceUrl).origin;
+        if (new URL(attachment.contentUrl).origin === serviceOrigin) {
+            const connectorClient = context.turnState.get(context.adapter.ConnectorClientKey);
+            const token = await connectorClient?.credentials?.getToken?.();
+            if (token) {
+                headers.Authorization = `Bearer ${token}`;
+            }
+        }
+
+        const { content, contentType } = await this.download(attachment.contentUrl, headers);
+
+        // Pasted images arrive as 'image/*'; the download tells the real type
+        const mimeType = attachment.contentType.includes('*')
+            ? (contentType || 'application/octet-stream').split(';')[0]
+            : attachment.contentType;
+        return { mimeType, content };
+    }
+
+    /**
+     * Downloads a URL, enforcing the size limit. The body is read as it arrives and the download
+     * is stopped once it passes the limit, so a response without a content length can't fill memory.
+     * @param {string|URL} url - The URL.
+     * @param {Object} headers - The request headers.
+     * @param {Object} [options] - Download options.
+     * @param {string} [options.redirect] - 'manual' to return redirects as `location` instead of following them.
+     * @param {Object} [options.dispatcher] - The undici dispatcher that opens the connection.
+     * @returns {Promise<{content?: Buffer, contentType?: string, location?: string}>} The contents and the response content type, or the redirect location.
+     */
+    async download(url, headers, options = {}) {
+        const controller = new AbortController();
+        const response = await fetch(url, {
+            headers,
+            redirect: options.redirect || 'follow',
+            signal: controller.signal,
+            dispatcher: options.dispatcher
+        });
+        try {
+            if (options.redirect === 'manual' && response.status >= 300 && response.status < 400) {
+                const location = response.headers.get('location');
+                if (!location) {
+                    throw new Error(`download failed with HTTP ${response.status}`);
+                }
+                return { location };
+            }
+            if (!response.ok) {
+                throw new Error(`download failed with HTTP ${response.status}`);
+            }
+
+            const contentLength = Number(response.headers.get('content-length'));
+            if (contentLength) {
+                this.checkSize(contentLength);
+            }
+
+            const chunks = [];
+            let size = 0;
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                this.checkSize(size);
+                chunks.push(chunk);
+            }
+            return { content: Buffer.concat(chunks, size), contentType: response.headers.get('content-type') };
+        } finally {
+            // Closes the connection when the body wasn't read to the end
+            controller.abort();
+        }
+    }
+
+    /**
+     * Throws when a file is over the size limit.
+     * @param {number} size - The file size in bytes.
+     */
+    checkSize(size) {
+        if (size > this.maxFileBytes) {
+            throw new Error(`${formatSize(size)} is over the ${formatSize(this.maxFileBytes)} limit`);
+        }
+    }
+
+    /**
+     * Keeps a file until the user answers its file-consent card, and builds the card.
+     * @param {string} name - The file name.
+     * @param {string} mimeType - The file's MIME type.
+     * @param {Buffer} content - The file contents.
+     * @returns {Attachment} The file-consent card attachment.
+     */
+    createConsentCard(name, mimeType, content) {
+        this.prunePendingFiles();
+
+        // Make room by dropping the files offered longest ago
+        let pendingBytes = content.length;
+        for (const file of this.pendingFiles.values()) {
+            pendingBytes += file.content.length;
+        }
+        for (const [pendingFileId, file] of this.pendingFiles) {
+            if (pendingBytes <= this.maxPendingBytes) break;
+            this.pendingFiles.delete(pendingFileId);
+            pendingBytes -= file.content.length;
+        }
+
+        const fileId = crypto.randomUUID();
+        this.pendingFiles.set(fileId, { name, mimeType, content, expiresAt: Date.now() + PENDING_FILE_TTL_MS });
+
+        return {
+            contentType: 'application/vnd.microsoft.teams.card.file.consent',
+            name,
+            content: {
+                description: `${mimeType} from the agent`,
+                sizeInBytes: content.length,
+                acceptContext: { fileId },
+                declineContext: { fileId }
+            }
+        };
+    }
+
+    /**
+     * Uploads an accepted file to the location Teams provided and shows it in the conversation.
+     * @param {TurnContext} context - The turn context of the fileConsent/invoke activity.
+     * @param {FileConsentCardResponse} fileConsentCardResponse - The user's answer, with the upload info.
+     */
+    async uploadAcceptedFile(context, fileConsentCardResponse) {
+        const fileId = fileConsentCardResponse.context?.fileId;
+        const file = this.pendingFiles.get(fileId);
+        this.pendingFiles.delete(fileId);
+        if (!file || file.expiresAt < Date.now()) {
+            await context.sendActivity('⌛ This file is no longer available. Ask the agent for it again.');
+            return;
+        }
+
+        const uploadInfo = fileConsentCardResponse.uploadInfo;
+        try {
+            const response = await fetch(uploadInfo.uploadUrl, {
+                method: 'PUT',
+                headers: {
+                    'Content-Length': String(file.content.length),
+                    'Content-Range': `bytes 0-${file.content.length - 1}/${file.content.length}`
+                },
+                body: file.content
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.error('FileAttachmentService: Upload failed:', error);
+            await context.sendActivity(`⚠️ Could not upload ${file.name}: ${error.message}`);
+            return;
+        }
+
+        await context.sendActivity({
+            attachments: [{
+                contentType: 'application/vnd.microsoft.teams.card.file.info',
+                contentUrl: uploadInfo.contentUrl,
+                name: uploadInfo.name,
+                content: {
+                    uniqueId: uploadInfo.uniqueId,
+                    fileType: uploadInfo.fileType
+                }
+            }]
+        });
+    }
+
+    /**
+     * Forgets a file the user declined.
+     * @param {FileConsentCardResponse} fileConsentCardResponse - The user's answer.
+     */
+    discardDeclinedFile(fileConsentCardResponse) {
+        this.pendingFiles.delete(fileConsentCardResponse.context?.fileId);
+    }
+
+    /**
+     * Drops files whose consent cards were never answered.
+     */
+    prunePendingFiles() {
+        const now = Date.now();
+        for (const [fileId, file] of this.pendingFiles) {
+            if (file.expiresAt < now) {
+                this.pendingFiles.delete(fileId);
+            }
+        }
+    }
+}
+
+module.exports = {
+    FileAttachmentService,
+    acceptsMimeType,
+    checkPublicUrl,
+    getInputModes
+};
@@ -0,0 +1,170 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// How long a write waits for another writer of the same key, and when a lock is considered abandoned
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+/**
+ * FileStorage is a bot Storage that keeps each item in a JSON file, so state survives restarts
+ * on a dev box without an Azure account. Writes follow the same eTag rules as MemoryStorage:
+ * an item written with an eTag other than '*' is only saved when it still matches the stored one.
+ * A lock file per key keeps two bot processes sharing the directory from interleaving writes.
+ */
+class FileStorage {
+    /**
+     * Creates an instance of FileStorage.
+     * @param {string} directory - The directory the items are kept in; created when missing.
+     */
+    constructor(directory) {
+        if (!directory) {
+            throw new Error('[FileStorage]: Missing parameter. directory is required');
+        }
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    /**
+     * Reads items from storage.
+     * @param {Array<string>} keys - The keys of the items.
+     * @returns {Promise<Object>} The items found, by key.
+     */
+    async read(keys) {
+        if (!keys) {
+            throw new ReferenceError('Keys are required when reading.');
+        }
+
+        const items = {};
+        for (const key of keys) {
+            const item = await this.readItem(key);
+            if (item) {
+                items[key] = item;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Writes items to storage, each with a new eTag.
+     * @param {Object} changes - The items by key.
+     * @returns {Promise<Object>} The new eTags by key.
+     */
+    async write(changes) {
+        if (!changes) {
+            throw new ReferenceError('Changes are required when writing.');
+        }
+
+        const eTags = {};
+        for (const [key, item] of Object.entries(changes)) {
+            await this.withLock(key, async () => {
+                const stored = await this.readItem(key);
+                if (stored && item.eTag && item.eTag !== '*' && item.eTag !== stored.eTag) {
+                    throw new Error(`Storage: error writing "${key}" due to eTag conflict.`);
+                }
+
+                // Written to a temporary file first so readers never see half an item
+                const filePath = this.getFilePath(key);
+                const tempPath = `${filePath}.${uuidv4()}.tmp`;
+                eTags[key] = uuidv4();
+                await fs.promises.writeFile(tempPath, JSON.stringify({ key, item: { ...item, eTag: eTags[key] } }));
+                await fs.promises.rename(tempPath, filePath);
+            });
+        }
+        return eTags;
+    }
+
+    /**
+     * Deletes items from storage.
+     * @param {Array<string>} keys - The keys of the items.
+     */
+    async delete(keys) {
+        for (const key of keys) {
+            await this.withLock(key, async () => {
+                await fs.promises.rm(this.getFilePath(key), { force: true });
+            });
+        }
+    }
+
+    /**
+     * Reads one item.
+     * @param {string} key - The key of the item.
+     * @returns {Promise<Object|undefined>} The item, or undefined when it isn't stored.
+     */
+    async readItem(key) {
+        try {
+            const { item } = JSON.parse(await fs.promises.readFile(this.getFilePath(key), 'utf8'));
+            return item;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the file of an item. Keys are hashed, since they can be longer than a file name and
+     * contain characters file systems don't allow.
+     * @param {string} key - The key of the item.
+     * @returns {string} The file path.
+     */
+    getFilePath(key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    /**
+     * Runs a function while holding the lock file of a key.
+     * @param {string} key - The key of the item.
+     * @param {Function} fn - The function to run.
+     * @returns {Promise<*>} The result of the function.
+     */
+    async withLock(key, fn) {
+        const lockPath = `${this.getFilePath(key)}.lock`;
+        const startedAt = Date.now();
+        for (;;) {
+            try {
+                await (await fs.promises.open(lockPath, 'wx')).close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                await this.removeStaleLock(lockPath);
+                if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+                    throw new Error(`[FileStorage]: Timed out waiting for the lock on "${key}"`);
+                }
+                await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.promises.rm(lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Removes a lock file left behind by a process that stopped while writing.
+     * @param {string} lockPath - The lock file.
+     */
+    async removeStaleLock(lockPath) {
+        try {
+            const { mtimeMs } = await fs.promises.stat(lockPath);
+            if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+                await fs.promises.rm(lockPath, { force: true });
+            }
+        } catch (error) {
+            // The lock was released in the meantime
+        }
+    }
+}
+
+module.exports.FileStorage = FileStorage;
@@ -0,0 +1,86 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const ADAPTIVE_CARD_CONTENT_TYPE = 'application/vnd.microsoft.card.adaptive';
+
+const HTML_ENTITIES = {
+    '&nbsp;': ' ',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': '\'',
+    '&amp;': '&'
+};
+
+/**
+ * Gets the plain text of a Teams message a message action was run on. Teams sends the body as
+ * HTML, so line breaks are kept and tags are dropped.
+ * @param {Object} messagePayload - The `messagePayload` of the action.
+ * @returns {string} The text.
+ */
+function getMessagePayloadText(messagePayload) {
+    const body = messagePayload?.body;
+    if (!body?.content) return '';
+    if (body.contentType !== 'html') return body.content.trim();
+
+    return body.content
+        .replace(/<br\s*\/?>|<\/(p|div|li)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(nbsp|lt|gt|quot|#39|amp);/g, entity => HTML_ENTITIES[entity])
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Builds the A2A parts that give an agent a Teams message as context: its text (with the sender),
+ * its files as links and its cards as data, and a data part with where the message came from.
+ * @param {Object} messagePayload - The `messagePayload` of the action.
+ * @returns {Array<Object>} The message parts.
+ */
+function createMessageContextParts(messagePayload) {
+    if (!messagePayload) return [];
+
+    const sender = messagePayload.from?.user?.displayName || messagePayload.from?.application?.displayName || 'someone';
+    const text = getMessagePayloadText(messagePayload);
+    const parts = text ? [{ kind: "text", text: `Message from ${sender}:\n${text}` }] : [];
+
+    for (const attachment of messagePayload.attachments || []) {
+        if (attachment.contentType === ADAPTIVE_CARD_CONTENT_TYPE && attachment.content) {
+            let card = attachment.content;
+            try {
+                card = typeof card === 'string' ? JSON.parse(card) : card;
+            } catch (error) {
+                // Sent as it is
+            }
+            parts.push({ kind: "data", data: card, metadata: { mimeType: ADAPTIVE_CARD_CONTENT_TYPE } });
+        } else if (attachment.contentUrl) {
+            parts.push({
+                kind: "file",
+                file: {
+                    name: attachment.name,
+                    uri: attachment.contentUrl,
+                    // Files shared in Teams are sent as references to SharePoint
+                    ...(attachment.contentType && attachment.contentType !== 'reference' ? { mimeType: attachment.contentType } : {})
+                }
+            });
+        }
+    }
+
+    parts.push({
+        kind: "data",
+        data: {
+            teamsMessage: {
+                id: messagePayload.id,
+                from: sender,
+                createdDateTime: messagePayload.createdDateTime,
+                linkToMessage: messagePayload.linkToMessage
+            }
+        }
+    });
+    return parts;
+}
+
+module.exports = {
+    createMessageContextParts,
+    getMessagePayloadText
+};
@@ -0,0 +1,246 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const { TurnContext } = require('botbuilder');
+const { isStorageConflict } = require('./botStorage');
+
+// Header the agent sends the per-task notification token in (A2A push notification spec)
+const NOTIFICATION_TOKEN_HEADER = 'x-a2a-notification-token';
+
+const STORAGE_KEY_PREFIX = 'a2aPushNotification/';
+
+// The registrations that haven't been released and when they expire. Bot storage can't list its
+// keys, so this is how registrations nobody releases (the agent never notifies) are found and pruned.
+const INDEX_KEY = 'a2aPushNotificationIndex';
+
+// How long a registration accepts notifications if the task never reaches a terminal state
+const REGISTRATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How many times an update is retried when another turn or notification changes the item meanwhile
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * PushNotificationService registers A2A push notification configs for outgoing messages and
+ * verifies the notifications agents post back, so results can be delivered to the Teams
+ * conversation that started the task after the turn has ended.
+ *
+ * Each outgoing message gets its own registration (id + random token) stored with the
+ * conversation reference. The registration id travels in the webhook URL and the token in the
+ * `X-A2A-Notification-Token` header; both must match for a notification to be accepted.
+ * Registrations are written against the eTag they were read with, so when two notifications for
+ * a task arrive at once only one of them is accepted; `verify` throws an eTag conflict for the other.
+ * A registration is released once the task has finished, and expires after a day otherwise;
+ * expired registrations are pruned whenever a new one is created.
+ */
+class PushNotificationService {
+    /**
+     * Creates an instance of PushNotificationService.
+     * @param {Storage} storage - The bot storage used to keep registrations.
+     * @param {string} notificationUrl - The public URL of the notification webhook.
+     */
+    constructor(storage, notificationUrl) {
+        if (!storage) {
+            throw new Error('[PushNotificationService]: Missing parameter. storage is required');
+        }
+        this.storage = storage;
+        this.notificationUrl = notificationUrl;
+    }
+
+    /**
+     * Builds the service from environment configuration. The webhook URL comes from
+     * `A2A_NOTIFICATION_URL` or is derived from `BOT_DOMAIN`; without either, push notifications are off.
+     * @param {Storage} storage - The bot storage used to keep registrations.
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {PushNotificationService} The configured service.
+     */
+    static fromEnv(storage, env = process.env) {
+        const notificationUrl = env.A2A_NOTIFICATION_URL ||
+            (env.BOT_DOMAIN ? `https://${env.BOT_DOMAIN}/api/a2a/notifications` : undefined);
+        return new PushNotificationService(storage, notificationUrl);
+    }
+
+    /**
+     * Creates a push notification config for a message, when the agent supports push notifications.
+     * @param {TurnContext} context - The turn context of the conversation to notify.
+     * @param {string} agentName - The name of the agent receiving the message.
+     * @param {Object} agentCard - The agent card.
+     * @returns {Promise<Object|undefined>} The pushNotificationConfig, or undefined when push notifications can't be used.
+     */
+    async createConfig(context, agentName, agentCard) {
+        if (!this.notificationUrl || !agentCard?.capabilities?.pushNotifications) {
+            return undefined;
+        }
+
+        const createdAt = Date.now();
+        const registration = {
+            id: crypto.randomUUID(),
+            token: crypto.randomBytes(32).toString('base64url'),
+            agentName,
+            conversationReference: TurnContext.getConversationReference(context.activity),
+            taskId: null,
+            delivered: false,
+            createdAt,
+            expiresAt: createdAt + REGISTRATION_TTL_MS
+        };
+        await this.saveRegistration(registration);
+
+        try {
+            await this.trackRegistration(registration);
+        } catch (error) {
+            console.log('PushNotificationService: Could not update the registration index:', error.message);
+        }
+
+        const url = new URL(this.notificationUrl);
+        url.searchParams.set('registration', registration.id);
+
+        return {
+            id: registration.id,
+            url: url.toString(),
+            token: registration.token
+        };
+    }
+
+    /**
+     * Verifies a notification against its registration.
+     * @param {string} registrationId - The registration id from the webhook URL.
+     * @param {string} token - The notification token header.
+     * @param {Object} task - The notification payload (the task).
+     * @returns {Promise<Object|undefined>} The registration, or undefined when the notification must be rejected.
+     * @throws {Error} An eTag conflict when another notification for the registration is being accepted.
+     */
+    async verify(registrationId, token, task) {
+        if (!registrationId || !token || !task) {
+            return undefined;
+        }
+
+        const registration = await this.getRegistration(registrationId);
+        if (!registration) {
+            return undefined;
+        }
+        if (registration.expiresAt < Date.now()) {
+            await this.release(registrationId);
+            return undefined;
+        }
+
+        const expected = Buffer.from(registration.token);
+        const actual = Buffer.from(token);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return undefined;
+        }
+
+        // A registration belongs to the first task that uses it
+        const taskId = task.id || task.taskId;
+        if (registration.taskId && registration.taskId !== taskId) {
+            return undefined;
+        }
+
+        // Claim the registration for this notification; a concurrent one fails here
+        registration.taskId = taskId;
+        registration.notifiedAt = Date.now();
+        await this.saveRegistration(registration);
+
+        return registration;
+    }
+
+    /**
+     * Marks a registration as delivered because the turn that started the task already showed its result.
+     * Later notifications for the task are still accepted but not posted again.
+     * @param {string} registrationId - The registration id.
+     */
+    async markDelivered(registrationId) {
+        for (let attempt = 1; ; attempt++) {
+            const registration = await this.getRegistration(registrationId);
+            if (!registration) return;
+
+            registration.delivered = true;
+            try {
+                await this.saveRegistration(registration);
+                return;
+            } catch (error) {
+                if (!isStorageConflict(error) || attempt >= MAX_UPDATE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes a registration once no more notifications are expected.
+     * @param {string} registrationId - The registration id.
+     */
+    async release(registrationId) {
+        if (registrationId) {
+            await this.storage.delete([STORAGE_KEY_PREFIX + registrationId]);
+            await this.updateIndex(registrations => {
+                delete registrations[registrationId];
+            });
+        }
+    }
+
+    /**
+     * Adds a new registration to the index and deletes the registrations that have expired.
+     * @param {Object} registration - The new registration.
+     */
+    async trackRegistration(registration) {
+        const now = Date.now();
+        let expired = [];
+        await this.updateIndex(registrations => {
+            expired = Object.keys(registrations).filter(id => registrations[id] < now);
+            expired.forEach(id => delete registrations[id]);
+            registrations[registration.id] = registration.expiresAt;
+        });
+
+        if (expired.length > 0) {
+            console.log(`PushNotificationService: Pruning ${expired.length} expired registration(s)`);
+            await this.storage.delete(expired.map(id => STORAGE_KEY_PREFIX + id));
+        }
+    }
+
+    /**
+     * Changes the registration index, against the eTag it was read with.
+     * @param {Function} update - Changes the expiry times by registration id in place.
+     */
+    async updateIndex(update) {
+        for (let attempt = 1; ; attempt++) {
+            const items = await this.storage.read([INDEX_KEY]);
+            const index = items[INDEX_KEY];
+            const registrations = { ...index?.registrations };
+            update(registrations);
+            try {
+                await this.storage.write({ [INDEX_KEY]: { registrations, eTag: index?.eTag || '*' } });
+                return;
+            } catch (error) {
+                if (!isStorageConflict(error) || attempt >= MAX_UPDATE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Reads a registration from storage.
+     * @param {string} registrationId - The registration id.
+     * @returns {Promise<Object|undefined>} The registration.
+     */
+    async getRegistration(registrationId) {
+        const key = STORAGE_KEY_PREFIX + registrationId;
+        const items = await this.storage.read([key]);
+        return items[key];
+    }
+
+    /**
+     * Writes a registration to storage, against the eTag it was read with (new registrations have none).
+     * @param {Object} registration - The registration.
+     */
+    async saveRegistration(registration) {
+        const key = STORAGE_KEY_PREFIX + registration.id;
+        const eTags = await this.storage.write({ [key]: { ...registration, eTag: registration.eTag || '*' } });
+        registration.eTag = eTags?.[key] || registration.eTag;
+    }
+}
+
+module.exports = {
+    NOTIFICATION_TOKEN_HEADER,
+    PushNotificationService
+};
@@ -0,0 +1,109 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Scheme types a Bot Framework OAuth connection can sign the user in for
+const SIGN_IN_SCHEME_TYPES = ['oauth2', 'openIdConnect', 'http'];
+
+/**
+ * Gets the URLs a security scheme names (OpenID configuration, authorization and token endpoints).
+ * @param {Object} scheme - The security scheme from the agent card.
+ * @returns {Array<string>} The URLs.
+ */
+function getSchemeUrls(scheme) {
+    const urls = [scheme.openIdConnectUrl];
+    for (const flow of Object.values(scheme.flows || {})) {
+        urls.push(flow.authorizationUrl, flow.tokenUrl);
+    }
+    return urls.filter(Boolean);
+}
+
+/**
+ * Finds the OAuth connection configured for a security scheme. Keys of the map are matched against
+ * the scheme's name in the card, then against the host names of the URLs it names
+ * (e.g. `"okta.com"` or `"login.microsoftonline.com"`).
+ * @param {string} name - The scheme name in the card.
+ * @param {Object} scheme - The security scheme.
+ * @param {Object} schemeConnections - Connection names by scheme name or identity provider host.
+ * @returns {string|undefined} The connection name.
+ */
+function findSchemeConnection(name, scheme, schemeConnections) {
+    const entries = Object.entries(schemeConnections);
+    const byName = entries.find(([key]) => key.toLowerCase() === name.toLowerCase());
+    if (byName) {
+        return byName[1];
+    }
+
+    const hosts = getSchemeUrls(scheme).map(url => {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return '';
+        }
+    });
+    const byHost = entries.find(([key]) => hosts.some(host => host === key.toLowerCase() || host.endsWith(`.${key.toLowerCase()}`)));
+    return byHost ? byHost[1] : undefined;
+}
+
+/**
+ * Picks the OAuth connection for an agent from the `securitySchemes` and `security` of its card.
+ * Security requirements are tried in order (all schemes when the card lists none); the first one
+ * whose scheme has a configured connection wins. An empty requirement (`{}`) means the agent takes
+ * anonymous requests. A card that doesn't describe its security says nothing about sign-in.
+ * @param {Object} agentCard - The agent card.
+ * @param {Object} schemeConnections - Connection names by scheme name or identity provider host.
+ * @returns {string|null|undefined} The connection name, null when no sign-in is needed, or undefined when the card declares no schemes or no configured connection matches.
+ */
+function getSchemeConnection(agentCard, schemeConnections = {}) {
+    const schemes = agentCard.securitySchemes || {};
+    const requirements = agentCard.security || Object.keys(schemes).map(name => ({ [name]: [] }));
+
+    for (const requirement of requirements) {
+        const names = Object.keys(requirement);
+        if (names.length === 0) {
+            return null;
+        }
+
+        for (const name of names) {
+            const scheme = schemes[name];
+            if (!scheme || !SIGN_IN_SCHEME_TYPES.includes(scheme.type)) continue;
+
+            const connectionName = findSchemeConnection(name, scheme, schemeConnections);
+            if (connectionName) {
+                return connectionName;
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Reads which security scheme and scopes an agent asks for when a task is auth-required, from the
+ * metadata of the status message or its data parts (`scheme` or `securityScheme`, and `scopes` as
+ * a list or a space-separated string).
+ * @param {Object} status - The task status.
+ * @returns {{scheme: string|undefined, scopes: Array<string>}} The requested scheme and scopes.
+ */
+function getAuthRequest(status) {
+    const message = status?.message;
+    const sources = [
+        message?.metadata,
+        ...(message?.parts || []).filter(part => part.kind === 'data').map(part => part.data)
+    ].filter(source => source && typeof source === 'object');
+
+    let scheme;
+    let scopes = [];
+    for (const source of sources) {
+        scheme = scheme || source.scheme || source.securityScheme;
+        const requested = source.scopes || source.scope;
+        if (scopes.length === 0 && requested) {
+            scopes = Array.isArray(requested) ? requested : String(requested).split(' ').filter(Boolean);
+        }
+    }
+    return { scheme, scopes };
+}
+
+module.exports = {
+    findSchemeConnection,
+    getAuthRequest,
+    getSchemeConnection
+};
@@ -0,0 +1,106 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { ConversationState } = require('botbuilder');
+
+// Teams conversation types more than one person can talk to the bot in
+const SHARED_CONVERSATION_TYPES = ['groupChat', 'channel'];
+
+/**
+ * Checks whether an activity comes from a group chat or a team channel rather than a personal chat.
+ * @param {Activity} activity - The activity.
+ * @returns {boolean} True for group chats and channels.
+ */
+function isSharedConversation(activity) {
+    const conversation = activity?.conversation;
+    return Boolean(conversation) &&
+        (SHARED_CONVERSATION_TYPES.includes(conversation.conversationType) || conversation.isGroup === true);
+}
+
+/**
+ * Gets the id of the conversation a turn belongs to. In a channel that is the thread of the message:
+ * Teams puts the thread's root message in the conversation id (`;messageid=`) of replies, but not of
+ * new posts. Message extension requests aren't messages, so they use the thread of the message an
+ * action was run on, if any. Proactive turns use the message their conversation reference was taken from.
+ * @param {Activity} activity - The turn's activity.
+ * @returns {string} The conversation id, with the thread in channels.
+ */
+function getThreadConversationId(activity) {
+    const conversation = activity?.conversation;
+    if (conversation?.conversationType !== 'channel' || !conversation.id || conversation.id.includes(';messageid=')) {
+        return conversation?.id;
+    }
+    const messagePayload = activity.value?.messagePayload;
+    const rootId = activity.name?.startsWith('composeExtension/')
+        ? messagePayload && (messagePayload.replyToId || messagePayload.id)
+        : activity.replyToId || activity.id;
+    return rootId ? `${conversation.id};messageid=${rootId}` : conversation.id;
+}
+
+/**
+ * ChannelThreadMiddleware sends a turn's replies in a channel to the thread of the message the turn is
+ * about (see getThreadConversationId); without the thread, answers to a new post would start new posts.
+ * Only outgoing activities are changed, so the conversation references stored from a turn keep the id
+ * Teams sent and proactive turns find their thread the same way.
+ */
+class ChannelThreadMiddleware {
+    /**
+     * Points the turn's outgoing and updated activities at the thread.
+     * @param {TurnContext} context - The context object for the turn.
+     * @param {Function} next - The next middleware or the bot logic.
+     */
+    async onTurn(context, next) {
+        const threadId = getThreadConversationId(context.activity);
+        if (threadId && threadId !== context.activity.conversation.id) {
+            // The conversation object is shared with the incoming activity, so it is replaced, not changed
+            const useThread = activity => {
+                activity.conversation = { ...activity.conversation, id: threadId };
+            };
+            context.onSendActivities(async (turnContext, activities, nextSend) => {
+                activities.forEach(useThread);
+                return await nextSend();
+            });
+            context.onUpdateActivity(async (turnContext, activity, nextUpdate) => {
+                useThread(activity);
+                return await nextUpdate();
+            });
+        }
+        await next();
+    }
+}
+
+/**
+ * SharedConversationState is conversation state that is kept per user in group chats and channels,
+ * so each person has their own sign-in, selected agent, dialog and A2A context there. Personal chats
+ * keep the plain conversation key.
+ */
+class SharedConversationState extends ConversationState {
+    /**
+     * Gets the storage key of the state for the turn's conversation (and user, in shared conversations).
+     * @param {TurnContext} context - The context object for the turn.
+     * @returns {string} The storage key.
+     */
+    getStorageKey(context) {
+        // Replies to a channel post share its thread's state (see getThreadConversationId)
+        const { channelId } = context.activity;
+        const conversationId = getThreadConversationId(context.activity);
+        const key = channelId && conversationId
+            ? `${channelId}/conversations/${conversationId}/${this.namespace}`
+            : super.getStorageKey(context);
+        const userId = context.activity.from?.id;
+        if (!isSharedConversation(context.activity)) {
+            return key;
+        }
+        if (!userId) {
+            throw new Error('missing activity.from.id');
+        }
+        return `${key}users/${userId}/`;
+    }
+}
+
+module.exports = {
+    ChannelThreadMiddleware,
+    SharedConversationState,
+    getThreadConversationId,
+    isSharedConversation
+};
@@ -0,0 +1,149 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Words that carry no routing signal on their own
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'can', 'could', 'do', 'does', 'for', 'from', 'get', 'give',
+    'have', 'help', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please', 'show', 'tell',
+    'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+    'would', 'you', 'your'
+]);
+
+// Points awarded per matched term, by where the term appears in the skill
+const TAG_WEIGHT = 3;
+const NAME_WEIGHT = 2;
+const DESCRIPTION_WEIGHT = 1;
+const EXAMPLE_WEIGHT = 1;
+
+/**
+ * Splits text into lowercase words, dropping stop words and very short tokens.
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} The tokens.
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * SkillRouter picks which registered agent should receive a free-form message by matching
+ * the message against the `skills` (name, description, tags and examples) advertised in each agent card.
+ */
+class SkillRouter {
+    /**
+     * Creates an instance of SkillRouter.
+     * @param {AgentRegistry} agentRegistry - The registry of A2A agents.
+     * @param {Object} [options] - Router options.
+     * @param {string} [options.fallbackAgentName] - The agent used when no skill matches. Defaults to the conversation's active agent.
+     * @param {number} [options.minScore] - The minimum score a skill needs to be picked.
+     */
+    constructor(agentRegistry, options = {}) {
+        if (!agentRegistry) {
+            throw new Error('[SkillRouter]: Missing parameter. agentRegistry is required');
+        }
+        if (options.fallbackAgentName && !agentRegistry.get(options.fallbackAgentName)) {
+            throw new Error(`[SkillRouter]: Fallback agent '${options.fallbackAgentName}' is not configured`);
+        }
+
+        this.agentRegistry = agentRegistry;
+        this.fallbackAgentName = options.fallbackAgentName;
+        this.minScore = options.minScore || TAG_WEIGHT;
+    }
+
+    /**
+     * Builds a router from environment configuration (A2A_ROUTER_FALLBACK_AGENT, A2A_ROUTER_MIN_SCORE).
+     * @param {AgentRegistry} agentRegistry - The registry of A2A agents.
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {SkillRouter} The configured router.
+     */
+    static fromEnv(agentRegistry, env = process.env) {
+        return new SkillRouter(agentRegistry, {
+            fallbackAgentName: env.A2A_ROUTER_FALLBACK_AGENT,
+            minScore: env.A2A_ROUTER_MIN_SCORE ? Number(env.A2A_ROUTER_MIN_SCORE) : undefined
+        });
+    }
+
+    /**
+     * Picks the agent and skill that best match a message.
+     * @param {string} text - The user's message.
+     * @param {Array<{agent: Object, agentCard: Object}>} candidates - The agents that may receive the message, with their cards.
+     * @param {Object} defaultAgent - The agent used when no fallback agent is configured.
+     * @returns {{agent: Object, skill: Object|null, score: number, reason: string}} The routing decision.
+     */
+    route(text, candidates, defaultAgent) {
+        const tokens = new Set(tokenize(text));
+        const normalizedText = ` ${tokenize(text).join(' ')} `;
+
+        let best = null;
+        for (const { agent, agentCard } of candidates) {
+            for (const skill of agentCard?.skills || []) {
+                const match = this.scoreSkill(tokens, normalizedText, skill);
+                if (match.score > 0 && (!best || match.score > best.score)) {
+                    best = { agent, skill, ...match };
+                }
+            }
+        }
+
+        if (best && best.score >= this.minScore) {
+            return {
+                agent: best.agent,
+                skill: best.skill,
+                score: best.score,
+                reason: `matched ${best.matches.join(', ')}`
+            };
+        }
+
+        const fallbackAgent = this.agentRegistry.get(this.fallbackAgentName) || defaultAgent;
+        return {
+            agent: fallbackAgent,
+            skill: null,
+            score: best ? best.score : 0,
+            reason: 'no skill matched the message, using the fallback agent'
+        };
+    }
+
+    /**
+     * Scores a single skill against the message tokens.
+     * @param {Set<string>} tokens - The message tokens.
+     * @param {string} normalizedText - The message tokens joined by spaces and padded, for phrase matching.
+     * @param {Object} skill - The agent skill.
+     * @returns {{score: number, matches: Array<string>}} The score and a readable list of what matched.
+     */
+    scoreSkill(tokens, normalizedText, skill) {
+        let score = 0;
+        const matches = [];
+
+        // Tags may be multi-word phrases, so match them against the whole message
+        for (const tag of skill.tags || []) {
+            const phrase = tokenize(tag).join(' ');
+            if (phrase && normalizedText.includes(` ${phrase} `)) {
+                score += TAG_WEIGHT;
+                matches.push(`tag "${tag}"`);
+            }
+        }
+
+        const nameHits = tokenize(skill.name).filter(token => tokens.has(token));
+        if (nameHits.length > 0) {
+            score += NAME_WEIGHT * nameHits.length;
+            matches.push(`skill name (${nameHits.join(', ')})`);
+        }
+
+        const descriptionHits = [...new Set(tokenize(skill.description))].filter(token => tokens.has(token));
+        if (descriptionHits.length > 0) {
+            score += DESCRIPTION_WEIGHT * descriptionHits.length;
+            matches.push(`description (${descriptionHits.join(', ')})`);
+        }
+
+        const exampleHits = [...new Set((skill.examples || []).flatMap(tokenize))].filter(token => tokens.has(token));
+        if (exampleHits.length > 0) {
+            score += EXAMPLE_WEIGHT * exampleHits.length;
+            matches.push(`examples (${exampleHits.join(', ')})`);
+        }
+
+        return { score, matches };
+    }
+}
+
+module.exports.SkillRouter = SkillRouter;
@@ -0,0 +1,211 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { isTerminalState } = require('./a2aThreads');
+
+// Card action sent when the user clicks Cancel on a task
+const CANCEL_TASK_ACTION = 'cancelTask';
+
+// Card actions on the 'tasks' card
+const REFRESH_TASKS_ACTION = 'refreshTasks';
+const SHOW_TASK_ARTIFACTS_ACTION = 'showTaskArtifacts';
+
+const STATE_ICONS = {
+    'submitted': '⏳',
+    'working': '⚙️',
+    'input-required': '✋',
+    'auth-required': '🔐',
+    'completed': '✅',
+    'failed': '❌',
+    'canceled': '🚫',
+    'rejected': '⛔'
+};
+
+/**
+ * Gets a label with an icon for a task state.
+ * @param {string} state - The task state.
+ * @returns {string} The label.
+ */
+function formatTaskState(state) {
+    return `${STATE_ICONS[state] || '❔'} ${state || 'unknown'}`;
+}
+
+/**
+ * Builds the adaptive card that tracks a running task, with a Cancel button until the task finishes.
+ * @param {Object} options - The card content.
+ * @param {string} options.agentName - The display name of the agent.
+ * @param {string} options.taskId - The task id.
+ * @param {string} options.state - The task state.
+ * @returns {Object} The adaptive card.
+ */
+function createTaskProgressCard({ agentName, taskId, state }) {
+    const card = {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+            {
+                type: "TextBlock",
+                text: `${agentName} task`,
+                weight: "Bolder"
+            },
+            {
+                type: "FactSet",
+                facts: [
+                    { title: "Task", value: taskId },
+                    { title: "State", value: formatTaskState(state) }
+                ]
+            }
+        ]
+    };
+
+    if (!isTerminalState(state)) {
+        card.actions = [
+            {
+                type: "Action.Submit",
+                title: "Cancel",
+                data: { action: CANCEL_TASK_ACTION, taskId }
+            }
+        ];
+    }
+
+    return card;
+}
+
+/**
+ * Builds the adaptive card shown when an agent task is waiting on the user (input-required).
+ * @param {Object} options - The card content.
+ * @param {string} options.agentName - The display name of the agent.
+ * @param {string} options.taskId - The id of the waiting task.
+ * @param {string} options.question - The agent's status message.
+ * @returns {Object} The adaptive card.
+ */
+function createInputRequiredCard({ agentName, taskId, question }) {
+    return {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+            {
+                type: "TextBlock",
+                text: "✋ Waiting for your input",
+                weight: "Bolder",
+                size: "Large",
+                color: "Warning"
+            },
+            {
+                type: "TextBlock",
+                text: question,
+                wrap: true
+            },
+            {
+                type: "FactSet",
+                facts: [
+                    { title: "Agent", value: agentName },
+                    { title: "Task", value: taskId }
+                ]
+            },
+            {
+                type: "TextBlock",
+                text: "Reply in this chat to continue the task, or type `new` to start over.",
+                wrap: true,
+                isSubtle: true
+            }
+        ]
+    };
+}
+
+/**
+ * Builds the adaptive card listing the user's recent and active tasks ('tasks' command).
+ * @param {Array<Object>} records - The task records, most recent first.
+ * @param {Function} getAgentDisplayName - Maps an agent name to its display name.
+ * @returns {Object} The adaptive card.
+ */
+function createTaskListCard(records, getAgentDisplayName) {
+    const body = [
+        {
+            type: "TextBlock",
+            text: "Your agent tasks",
+            weight: "Bolder",
+            size: "Large"
+        }
+    ];
+
+    if (records.length === 0) {
+        body.push({
+            type: "TextBlock",
+            text: "No tasks yet. Tasks appear here once an agent starts working on a message.",
+            wrap: true,
+            isSubtle: true
+        });
+    }
+
+    for (const record of records) {
+        const actions = [
+            {
+                type: "Action.Submit",
+                title: "Show artifacts",
+                data: { action: SHOW_TASK_ARTIFACTS_ACTION, taskId: record.taskId }
+            }
+        ];
+        if (!isTerminalState(record.state)) {
+            actions.push({
+                type: "Action.Submit",
+                title: "Cancel",
+                data: { action: CANCEL_TASK_ACTION, taskId: record.taskId, fromTaskList: true }
+            });
+        }
+
+        body.push({
+            type: "Container",
+            separator: true,
+            items: [
+                {
+                    type: "TextBlock",
+                    text: `${getAgentDisplayName(record.agentName)} · ${formatTaskState(record.state)}`,
+                    weight: "Bolder",
+                    wrap: true
+                },
+                {
+                    type: "FactSet",
+                    facts: [
+                        { title: "Task", value: record.taskId },
+                        { title: "Updated", value: `{{DATE(${record.updatedAt}, SHORT)}} {{TIME(${record.updatedAt})}}` }
+                    ]
+                },
+                ...(record.statusMessage ? [{
+                    type: "TextBlock",
+                    text: record.statusMessage,
+                    wrap: true,
+                    isSubtle: true,
+                    maxLines: 3
+                }] : []),
+                {
+                    type: "ActionSet",
+                    actions
+                }
+            ]
+        });
+    }
+
+    return {
+        type: "AdaptiveCard",
+        version: "1.4",
+        body,
+        actions: [
+            {
+                type: "Action.Submit",
+                title: "Refresh",
+                data: { action: REFRESH_TASKS_ACTION }
+            }
+        ]
+    };
+}
+
+module.exports = {
+    CANCEL_TASK_ACTION,
+    REFRESH_TASKS_ACTION,
+    SHOW_TASK_ARTIFACTS_ACTION,
+    formatTaskState,
+    createTaskProgressCard,
+    createInputRequiredCard,
+    createTaskListCard
+};
@@ -0,0 +1,78 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { getMessageText } = require('./a2aParts');
+const { getThreadConversationId } = require('./sharedConversations');
+
+// How many tasks are kept per user for the 'tasks' card
+const MAX_TASK_HISTORY = 20;
+
+/**
+ * Gets the user's task records restored for the current turn, most recently updated first.
+ * @param {TurnContext} context - The turn context.
+ * @returns {Array<Object>} The task records.
+ */
+function getTaskHistory(context) {
+    let history = context.turnState.get('a2aTaskHistory');
+    if (!history) {
+        history = [];
+        context.turnState.set('a2aTaskHistory', history);
+    }
+    return history;
+}
+
+/**
+ * Finds the record of a task.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} taskId - The task id.
+ * @returns {Object|undefined} The task record.
+ */
+function findTaskRecord(context, taskId) {
+    return getTaskHistory(context).find(record => record.taskId === taskId);
+}
+
+/**
+ * Records the state and last status message of a task from an event returned by an agent.
+ * Events without a task (plain messages) are ignored.
+ * @param {TurnContext} context - The turn context.
+ * @param {string} agentName - The agent that owns the task.
+ * @param {Object} event - A task, status-update or artifact-update event.
+ */
+function recordTask(context, agentName, event) {
+    const taskId = event.kind === 'task' ? event.id : event.taskId;
+    if (!taskId || event.kind === 'message') return;
+
+    const history = getTaskHistory(context);
+    let record = history.find(r => r.taskId === taskId);
+    const isNew = !record;
+    if (isNew) {
+        record = {
+            taskId,
+            agentName,
+            conversationId: getThreadConversationId(context.activity),
+            state: 'submitted',
+            statusMessage: ''
+        };
+    }
+
+    const state = event.status?.state || record.state;
+    const statusMessage = getMessageText(event.status?.message) || record.statusMessage;
+    if (!isNew && state === record.state && statusMessage === record.statusMessage) {
+        return;
+    }
+
+    record.state = state;
+    record.statusMessage = statusMessage;
+    // Adaptive Card date functions only accept timestamps without milliseconds
+    record.updatedAt = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    // Keep the list ordered by the last update and bounded in size
+    const others = history.filter(r => r !== record);
+    history.splice(0, history.length, record, ...others.slice(0, MAX_TASK_HISTORY - 1));
+}
+
+module.exports = {
+    getTaskHistory,
+    findTaskRecord,
+    recordTask
+};
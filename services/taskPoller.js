@@ -0,0 +1,251 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { CardFactory, MessageFactory, TurnContext } = require('botbuilder');
+const { INTERRUPTED_STATES, isTerminalState } = require('./a2aThreads');
+const { createTaskProgressCard, formatTaskState } = require('./taskCards');
+const { getThreadConversationId } = require('./sharedConversations');
+
+// Consecutive tasks/get failures after which polling gives up
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * TaskPoller follows tasks from agents that don't stream or push notifications. It calls
+ * `tasks/get` in the background with exponential backoff, keeps a single progress card in the
+ * conversation up to date, and hands the task to `onTaskFinished` when it reaches a terminal
+ * (or input-required) state. Polling runs outside the turn that started it, so every Teams
+ * update goes through `adapter.continueConversationAsync`.
+ */
+class TaskPoller {
+    /**
+     * Creates an instance of TaskPoller.
+     * @param {CloudAdapter} adapter - The adapter used for proactive messages.
+     * @param {string} appId - The bot's Microsoft App Id.
+     * @param {Function} onTaskFinished - Called with (context, task, job) in a proactive turn when polling ends with a result.
+     * @param {Object} [options] - Polling options.
+     * @param {number} [options.initialDelayMs] - The delay before the first tasks/get call.
+     * @param {number} [options.maxDelayMs] - The longest delay between calls.
+     * @param {number} [options.maxDurationMs] - How long to keep polling before giving up.
+     */
+    constructor(adapter, appId, onTaskFinished, options = {}) {
+        if (!adapter) {
+            throw new Error('[TaskPoller]: Missing parameter. adapter is required');
+        }
+        if (!onTaskFinished) {
+            throw new Error('[TaskPoller]: Missing parameter. onTaskFinished is required');
+        }
+
+        this.adapter = adapter;
+        this.appId = appId;
+        this.onTaskFinished = onTaskFinished;
+        this.initialDelayMs = options.initialDelayMs || 2000;
+        this.maxDelayMs = options.maxDelayMs || 60000;
+        this.maxDurationMs = options.maxDurationMs || 30 * 60 * 1000;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Builds a poller from environment configuration
+     * (A2A_POLL_INITIAL_DELAY_MS, A2A_POLL_MAX_DELAY_MS, A2A_POLL_MAX_DURATION_MS).
+     * @param {CloudAdapter} adapter - The adapter used for proactive messages.
+     * @param {Function} onTaskFinished - Called with (context, task, job) when polling ends with a result.
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {TaskPoller} The configured poller.
+     */
+    static fromEnv(adapter, onTaskFinished, env = process.env) {
+        return new TaskPoller(adapter, env.MicrosoftAppId, onTaskFinished, {
+            initialDelayMs: Number(env.A2A_POLL_INITIAL_DELAY_MS) || undefined,
+            maxDelayMs: Number(env.A2A_POLL_MAX_DELAY_MS) || undefined,
+            maxDurationMs: Number(env.A2A_POLL_MAX_DURATION_MS) || undefined
+        });
+    }
+
+    /**
+     * Starts polling a task. Sends the progress card in the current turn, then polls in the background.
+     * @param {TurnContext} context - The turn context of the conversation to update.
+     * @param {Object} options - The task to poll.
+     * @param {A2AClient} options.a2aClient - The client for the agent that owns the task.
+     * @param {Object} options.task - The task as last returned by the agent.
+     * @param {string} options.agentName - The name of the agent.
+     * @param {string} options.agentDisplayName - The display name of the agent.
+     * @returns {Promise<Object>} The polling job.
+     */
+    async start(context, { a2aClient, task, agentName, agentDisplayName }) {
+        const existing = this.jobs.get(task.id);
+        if (existing) {
+            return existing;
+        }
+
+        const job = {
+            taskId: task.id,
+            agentName,
+            agentDisplayName: agentDisplayName || agentName,
+            a2aClient,
+            conversationReference: TurnContext.getConversationReference(context.activity),
+            conversationId: getThreadConversationId(context.activity),
+            state: task.status.state,
+            progressActivityId: null,
+            stopped: false
+        };
+
+        const response = await context.sendActivity(this.createProgressActivity(job));
+        job.progressActivityId = response?.id;
+        this.jobs.set(job.taskId, job);
+
+        // Deliberately not awaited: polling outlives this turn
+        this.poll(job).catch(error => console.error(`TaskPoller: Polling task ${job.taskId} failed:`, error));
+
+        return job;
+    }
+
+    /**
+     * Gets the polling job for a task.
+     * @param {string} taskId - The task id.
+     * @returns {Object|undefined} The job, if the task is being polled.
+     */
+    getJob(taskId) {
+        return this.jobs.get(taskId);
+    }
+
+    /**
+     * Finds the tasks being polled for a Teams conversation.
+     * @param {string} conversationId - The conversation id.
+     * @param {string} [userId] - Only the tasks started by this user.
+     * @returns {Array<Object>} The jobs.
+     */
+    findJobsByConversation(conversationId, userId) {
+        return [...this.jobs.values()].filter(job => job.conversationId === conversationId &&
+            (!userId || job.conversationReference.user?.id === userId));
+    }
+
+    /**
+     * Stops polling a task, e.g. after it was canceled or a notification delivered its result.
+     * @param {string} taskId - The task id.
+     */
+    stop(taskId) {
+        const job = this.jobs.get(taskId);
+        if (job) {
+            job.stopped = true;
+            this.jobs.delete(taskId);
+        }
+    }
+
+    /**
+     * Polls a task until it finishes, is stopped, or the maximum duration passes.
+     * @param {Object} job - The polling job.
+     */
+    async poll(job) {
+        const startedAt = Date.now();
+        let nextDelay = this.initialDelayMs;
+        let failures = 0;
+
+        try {
+            while (!job.stopped && Date.now() - startedAt < this.maxDurationMs) {
+                await delay(nextDelay);
+                nextDelay = Math.min(nextDelay * 2, this.maxDelayMs);
+                if (job.stopped) return;
+
+                let task;
+                try {
+                    const response = await job.a2aClient.getTask({ id: job.taskId });
+                    if ("error" in response) {
+                        throw new Error(response.error.message);
+                    }
+                    task = response.result;
+                    failures = 0;
+                } catch (error) {
+                    failures++;
+                    console.log(`TaskPoller: tasks/get for ${job.taskId} failed (${failures}/${MAX_CONSECUTIVE_FAILURES}):`, error.message);
+                    if (failures >= MAX_CONSECUTIVE_FAILURES) {
+                        await this.sendNotice(job, `⚠️ Stopped checking on task ${job.taskId}: ${error.message}`);
+                        return;
+                    }
+                    continue;
+                }
+
+                const state = task.status.state;
+                if (state === job.state) continue;
+
+                job.state = state;
+                const finished = isTerminalState(state) || INTERRUPTED_STATES.includes(state);
+                await this.continueConversation(job, async (context) => {
+                    await this.updateProgress(context, job);
+                    if (finished) {
+                        await this.onTaskFinished(context, task, job);
+                    }
+                });
+
+                if (finished) return;
+            }
+
+            if (!job.stopped) {
+                const minutes = Math.round(this.maxDurationMs / 60000);
+                await this.sendNotice(job, `⌛ Task ${job.taskId} is still ${formatTaskState(job.state)}. Stopped checking after ${minutes} minutes.`);
+            }
+        } finally {
+            if (this.jobs.get(job.taskId) === job) {
+                this.jobs.delete(job.taskId);
+            }
+        }
+    }
+
+    /**
+     * Builds the progress card activity for a job.
+     * @param {Object} job - The polling job.
+     * @returns {Partial<Activity>} The activity.
+     */
+    createProgressActivity(job) {
+        const card = createTaskProgressCard({ agentName: job.agentDisplayName, taskId: job.taskId, state: job.state });
+        return MessageFactory.attachment(CardFactory.adaptiveCard(card));
+    }
+
+    /**
+     * Updates the job's progress card with the latest state.
+     * @param {TurnContext} context - The proactive turn context.
+     * @param {Object} job - The polling job.
+     */
+    async updateProgress(context, job) {
+        const activity = this.createProgressActivity(job);
+        if (!job.progressActivityId) {
+            job.progressActivityId = (await context.sendActivity(activity))?.id;
+            return;
+        }
+
+        try {
+            await context.updateActivity({ ...activity, id: job.progressActivityId });
+        } catch (updateError) {
+            console.log('TaskPoller: Progress card update failed:', updateError.message);
+        }
+    }
+
+    /**
+     * Sends a text message to the job's conversation.
+     * @param {Object} job - The polling job.
+     * @param {string} text - The message.
+     */
+    async sendNotice(job, text) {
+        await this.continueConversation(job, async (context) => {
+            await context.sendActivity(text);
+        });
+    }
+
+    /**
+     * Runs logic in a proactive turn for the job's conversation.
+     * @param {Object} job - The polling job.
+     * @param {Function} logic - The logic to run with the turn context.
+     */
+    async continueConversation(job, logic) {
+        await this.adapter.continueConversationAsync(this.appId, job.conversationReference, logic);
+    }
+}
+
+module.exports.TaskPoller = TaskPoller;
@@ -0,0 +1,216 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { ConfidentialClientApplication, InteractionRequiredAuthError } = require('@azure/msal-node');
+const { AuthenticationRequiredError } = require('./agentAuth');
+
+const DEFAULT_AUTHORITY_HOST = 'https://login.microsoftonline.com';
+
+// Where Entra sends the user after the consent page; it is already a reply URL of the bot's app
+const DEFAULT_CONSENT_REDIRECT_URI = 'https://token.botframework.com/.auth/web/redirect';
+
+// Tokens this close to expiry are exchanged again instead of being reused
+const EXPIRY_SKEW_MS = 5 * 60 * 1000;
+
+// Error codes Entra uses when the user (or an admin) has to consent or interact first
+const CONSENT_ERROR_CODES = ['consent_required', 'interaction_required'];
+
+/**
+ * Thrown when the user has to consent before the bot can get a token for an agent on their behalf.
+ * It is an AuthenticationRequiredError, so it stops streams and retries the same way.
+ */
+class ConsentRequiredError extends AuthenticationRequiredError {
+    /**
+     * Creates an instance of ConsentRequiredError.
+     * @param {string} connectionName - The OAuth connection the user's token came from.
+     * @param {Object} agent - The agent definition from the registry.
+     * @param {Array<string>} scopes - The scopes that need consent.
+     * @param {string} consentUrl - The page where the user grants consent.
+     */
+    constructor(connectionName, agent, scopes, consentUrl) {
+        super(connectionName);
+        this.name = 'ConsentRequiredError';
+        this.message = `Consent required for ${agent.name}: ${scopes.join(' ')}`;
+        this.agent = agent;
+        this.scopes = scopes;
+        this.consentUrl = consentUrl;
+    }
+}
+
+/**
+ * Gets the scopes an agent's tokens need. They come from the agent's configuration (`scopes`, or
+ * `audience` for its `.default` scope) or else from the OAuth2/OpenID Connect scopes its card asks for.
+ * @param {Object} agent - The agent definition from the registry.
+ * @param {Object} [agentCard] - The agent card.
+ * @returns {Array<string>} The scopes; empty when the agent takes the user's token as is.
+ */
+function getAgentScopes(agent, agentCard) {
+    if (agent.scopes) {
+        return Array.isArray(agent.scopes) ? agent.scopes : agent.scopes.split(' ').filter(Boolean);
+    }
+    if (agent.audience) {
+        return [`${agent.audience.replace(/\/$/, '')}/.default`];
+    }
+
+    const schemes = agentCard?.securitySchemes || {};
+    const isOAuthScheme = (name) => ['oauth2', 'openIdConnect'].includes(schemes[name]?.type);
+
+    // Scopes listed in the card's security requirements win over the ones the schemes define
+    for (const requirement of agentCard?.security || []) {
+        for (const [name, scopes] of Object.entries(requirement)) {
+            if (isOAuthScheme(name) && scopes?.length > 0) {
+                return scopes;
+            }
+        }
+    }
+    for (const scheme of Object.values(schemes)) {
+        if (scheme.type !== 'oauth2') continue;
+        const scopes = Object.values(scheme.flows || {}).flatMap(flow => Object.keys(flow.scopes || {}));
+        if (scopes.length > 0) {
+            return [...new Set(scopes)];
+        }
+    }
+    return [];
+}
+
+/**
+ * Checks whether an MSAL error means the user has to consent or sign in interactively.
+ * @param {Error} error - The MSAL error.
+ * @returns {boolean} True when a consent prompt is needed.
+ */
+function isConsentError(error) {
+    return error instanceof InteractionRequiredAuthError ||
+        CONSENT_ERROR_CODES.includes(error.errorCode) ||
+        CONSENT_ERROR_CODES.includes(error.subError) ||
+        /AADSTS65001/.test(error.errorMessage || error.message);
+}
+
+/**
+ * OboTokenBroker exchanges the user's Teams SSO token for a token for each agent's own
+ * audience using the OAuth2 on-behalf-of flow, so agents never receive the bot's token.
+ *
+ * Tokens are cached per user, agent and scopes until shortly before they expire. When Entra answers that
+ * consent is required, the exchange fails with ConsentRequiredError carrying the consent page URL.
+ */
+class OboTokenBroker {
+    /**
+     * Creates an instance of OboTokenBroker.
+     * @param {Object} options - The bot's Entra app registration.
+     * @param {string} options.clientId - The app (client) id.
+     * @param {string} options.clientSecret - The app's client secret.
+     * @param {string} [options.tenantId] - The tenant; defaults to 'common'.
+     * @param {string} [options.authorityHost] - The Entra authority host.
+     * @param {string} [options.consentRedirectUri] - Where the consent page returns to.
+     */
+    constructor(options) {
+        if (!options || !options.clientId || !options.clientSecret) {
+            throw new Error('[OboTokenBroker]: Missing parameter. clientId and clientSecret are required');
+        }
+        this.clientId = options.clientId;
+        this.authority = `${options.authorityHost || DEFAULT_AUTHORITY_HOST}/${options.tenantId || 'common'}`;
+        this.consentRedirectUri = options.consentRedirectUri || DEFAULT_CONSENT_REDIRECT_URI;
+        this.msalClient = new ConfidentialClientApplication({
+            auth: {
+                clientId: options.clientId,
+                clientSecret: options.clientSecret,
+                authority: this.authority
+            }
+        });
+
+        // Exchanged tokens by user, agent and scopes
+        this.tokens = new Map();
+    }
+
+    /**
+     * Builds the broker from the bot's app registration (`MicrosoftAppId`, `MicrosoftAppPassword`,
+     * `MicrosoftAppTenantId`). Without a client secret the user's token is sent to agents unchanged.
+     * @param {Object} env - The environment variables (defaults to process.env).
+     * @returns {OboTokenBroker|undefined} The configured broker, or undefined when OBO can't be used.
+     */
+    static fromEnv(env = process.env) {
+        if (!env.MicrosoftAppId || !env.MicrosoftAppPassword) {
+            console.log('OboTokenBroker: No app credentials configured; agents receive the user\'s token unchanged');
+            return undefined;
+        }
+        return new OboTokenBroker({
+            clientId: env.MicrosoftAppId,
+            clientSecret: env.MicrosoftAppPassword,
+            tenantId: env.MicrosoftAppTenantId,
+            authorityHost: env.AAD_APP_OAUTH_AUTHORITY_HOST,
+            consentRedirectUri: env.A2A_CONSENT_REDIRECT_URI
+        });
+    }
+
+    /**
+     * Gets a token for an agent's scopes on behalf of the user, from the cache or by exchanging the user's token.
+     * @param {string} userToken - The user's SSO token for the bot.
+     * @param {string} userId - The user the token belongs to.
+     * @param {Object} agent - The agent definition from the registry.
+     * @param {Array<string>} scopes - The agent's scopes (see getAgentScopes).
+     * @returns {Promise<string>} The token for the agent.
+     */
+    async getAgentToken(userToken, userId, agent, scopes) {
+        const key = `${userId}/${agent.name}/${scopes.join(' ')}`;
+        const cached = this.tokens.get(key);
+        // A new user token means the last one was refreshed or rejected, so exchange it again
+        if (cached && cached.userToken === userToken && cached.expiresOn - EXPIRY_SKEW_MS > Date.now()) {
+            return cached.accessToken;
+        }
+
+        let result;
+        try {
+            result = await this.msalClient.acquireTokenOnBehalfOf({ oboAssertion: userToken, scopes });
+        } catch (error) {
+            this.tokens.delete(key);
+            if (isConsentError(error)) {
+                throw new ConsentRequiredError(agent.connectionName, agent, scopes, this.getConsentUrl(scopes));
+            }
+            throw error;
+        }
+        if (!result?.accessToken) {
+            throw new Error(`[OboTokenBroker]: No token returned for ${agent.name}`);
+        }
+
+        this.tokens.set(key, {
+            userToken,
+            accessToken: result.accessToken,
+            expiresOn: result.expiresOn ? result.expiresOn.getTime() : Date.now()
+        });
+        this.pruneTokens();
+        return result.accessToken;
+    }
+
+    /**
+     * Builds the Entra page where the user consents to the bot calling an agent's scopes on their behalf.
+     * @param {Array<string>} scopes - The scopes.
+     * @returns {string} The consent URL.
+     */
+    getConsentUrl(scopes) {
+        const params = new URLSearchParams({
+            client_id: this.clientId,
+            response_type: 'code',
+            redirect_uri: this.consentRedirectUri,
+            scope: scopes.join(' '),
+            prompt: 'consent'
+        });
+        return `${this.authority}/oauth2/v2.0/authorize?${params}`;
+    }
+
+    /**
+     * Removes expired tokens from the cache.
+     */
+    pruneTokens() {
+        const now = Date.now();
+        for (const [key, entry] of this.tokens) {
+            if (entry.expiresOn <= now) {
+                this.tokens.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    ConsentRequiredError,
+    OboTokenBroker,
+    getAgentScopes
+};
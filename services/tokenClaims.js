@@ -0,0 +1,153 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Tokens that expire within this many seconds are treated as expired, since they could expire on the way
+// or by the agent's clock
+const EXPIRY_SKEW_SECONDS = 60;
+
+/**
+ * Thrown when a token's claims don't match what the agent expects, so the request isn't sent.
+ */
+class TokenValidationError extends Error {
+    /**
+     * Creates an instance of TokenValidationError.
+     * @param {string} agentName - The agent the token was meant for.
+     * @param {Array<string>} problems - What doesn't match.
+     */
+    constructor(agentName, problems) {
+        super(`The token for ${agentName} won't be accepted: ${problems.join('; ')}`);
+        this.name = 'TokenValidationError';
+        this.agentName = agentName;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Reads the claims of a JWT without verifying its signature. Only use the result for diagnostics
+ * and pre-flight checks; the agent does the real validation.
+ * @param {string} token - The token.
+ * @returns {Object|undefined} The claims, or undefined when the token isn't a JWT.
+ */
+function decodeTokenClaims(token) {
+    const payload = typeof token === 'string' ? token.split('.')[1] : undefined;
+    if (!payload) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Turns a claim or an expected value into a list.
+ * @param {*} value - A string (space-separated for scopes), an array, or nothing.
+ * @returns {Array<string>} The values.
+ */
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : String(value).split(' ').filter(Boolean);
+}
+
+/**
+ * Checks a token's claims against what an agent expects, from the agent's `expectedClaims`:
+ *
+ *     { "aud": ["api://hr-agent"], "iss": "https://login.microsoftonline.com/<tenant>/v2.0", "scp": ["access_as_user"], "roles": [] }
+ *
+ * `aud` and `iss` list the accepted values; `scp` and `roles` list values the token must all have.
+ * @param {Object} claims - The decoded claims.
+ * @param {Object} [expectedClaims] - The agent's expected claims.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.checkExpiry] - Whether an expired token is a problem (the default).
+ * @param {number} [options.skewSeconds] - How long before `exp` the token already counts as expired.
+ * @param {number} [options.now] - The current time in milliseconds.
+ * @returns {Array<string>} The problems found; empty when the token looks right.
+ */
+function validateTokenClaims(claims, expectedClaims = {}, { checkExpiry = true, skewSeconds = 0, now = Date.now() } = {}) {
+    const problems = [];
+
+    if (checkExpiry && claims.exp && (claims.exp - skewSeconds) * 1000 <= now) {
+        problems.push(`it expired at ${new Date(claims.exp * 1000).toISOString()}`);
+    }
+
+    const audiences = toList(expectedClaims.aud);
+    if (audiences.length > 0 && !toList(claims.aud).some(aud => audiences.includes(aud))) {
+        problems.push(`audience is ${claims.aud || 'missing'}, expected ${audiences.join(' or ')}`);
+    }
+
+    const issuers = toList(expectedClaims.iss);
+    if (issuers.length > 0 && !issuers.includes(claims.iss)) {
+        problems.push(`issuer is ${claims.iss || 'missing'}, expected ${issuers.join(' or ')}`);
+    }
+
+    const scopes = toList(claims.scp);
+    const missingScopes = toList(expectedClaims.scp).filter(scope => !scopes.includes(scope));
+    if (missingScopes.length > 0) {
+        problems.push(`missing scope ${missingScopes.join(', ')}`);
+    }
+
+    const roles = toList(claims.roles);
+    const missingRoles = toList(expectedClaims.roles).filter(role => !roles.includes(role));
+    if (missingRoles.length > 0) {
+        problems.push(`missing role ${missingRoles.join(', ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Checks whether a token has expired or expires within EXPIRY_SKEW_SECONDS. Tokens that aren't JWTs
+ * can't be checked and count as valid.
+ * @param {string} token - The token.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {boolean} True when the token shouldn't be sent anymore.
+ */
+function isTokenExpired(token, now = Date.now()) {
+    const claims = decodeTokenClaims(token);
+    return Boolean(claims?.exp) && (claims.exp - EXPIRY_SKEW_SECONDS) * 1000 <= now;
+}
+
+/**
+ * Checks the token about to be sent to an agent, including its expiry (with EXPIRY_SKEW_SECONDS to
+ * spare). Callers replace expired tokens before this (see isTokenExpired), so an expired token here is
+ * one that couldn't be refreshed. Tokens that aren't JWTs are passed through.
+ * @param {string} token - The token.
+ * @param {Object} agent - The agent definition from the registry.
+ * @returns {string} The token.
+ */
+function preflightToken(token, agent) {
+    const claims = decodeTokenClaims(token);
+    if (!claims) {
+        return token;
+    }
+
+    const problems = validateTokenClaims(claims, agent.expectedClaims, { skewSeconds: EXPIRY_SKEW_SECONDS });
+    if (problems.length > 0) {
+        throw new TokenValidationError(agent.displayName || agent.name, problems);
+    }
+    return token;
+}
+
+/**
+ * Formats the time until a token expires, e.g. '42 min' or 'expired 3 min ago'.
+ * @param {Object} claims - The decoded claims.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {string} The text.
+ */
+function formatTimeToExpiry(claims, now = Date.now()) {
+    if (!claims.exp) {
+        return 'no expiry';
+    }
+    const minutes = Math.round((claims.exp * 1000 - now) / 60000);
+    return minutes >= 0 ? `${minutes} min` : `expired ${-minutes} min ago`;
+}
+
+module.exports = {
+    TokenValidationError,
+    decodeTokenClaims,
+    formatTimeToExpiry,
+    isTokenExpired,
+    preflightToken,
+    validateTokenClaims
+};
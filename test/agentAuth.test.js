@@ -0,0 +1,97 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const assert = require('node:assert');
+const { afterEach, describe, it, mock } = require('node:test');
+const { AuthenticationRequiredError, createAgentFetch } = require('../services/agentAuth');
+
+/**
+ * Builds an unsigned JWT that expires in the given number of seconds.
+ * @param {number} expiresIn - Seconds until it expires; negative when it already has.
+ * @returns {string} The token.
+ */
+function createToken(expiresIn) {
+    const claims = { exp: Math.floor(Date.now() / 1000) + expiresIn, nonce: Math.random() };
+    return `e30.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`;
+}
+
+/**
+ * Builds a turn context whose token service answers with a token.
+ * @param {string} [token] - The user's current token, or nothing when they have to sign in.
+ * @returns {Object} The context.
+ */
+function createContext(token) {
+    const userTokenClient = { getUserToken: mock.fn(async () => (token ? { token } : undefined)) };
+    return {
+        adapter: { UserTokenClientKey: 'UserTokenClient' },
+        turnState: new Map([['UserTokenClient', userTokenClient]]),
+        activity: { channelId: 'msteams', from: { id: 'user-1' } }
+    };
+}
+
+/**
+ * Makes fetch answer with a status and records the Authorization headers it was sent.
+ * @param {...number} statuses - The statuses, one per request.
+ * @returns {Array<string>} The Authorization headers.
+ */
+function answerWith(...statuses) {
+    const authorizations = [];
+    mock.method(globalThis, 'fetch', async (url, init) => {
+        authorizations.push(new Headers(init.headers).get('Authorization'));
+        return new Response('{}', { status: statuses.shift() || 200 });
+    });
+    return authorizations;
+}
+
+describe('createAgentFetch', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('sends the user\'s token while it is valid', async () => {
+        const authorizations = answerWith(200);
+        const token = createToken(3600);
+        const context = createContext(createToken(7200));
+
+        await createAgentFetch(context, 'hr', token)('https://agent.example.com/');
+
+        assert.deepStrictEqual(authorizations, [`Bearer ${token}`]);
+        assert.strictEqual(context.turnState.get('UserTokenClient').getUserToken.mock.callCount(), 0);
+    });
+
+    it('gets a fresh token before sending an expired one', async () => {
+        const authorizations = answerWith(200);
+        const freshToken = createToken(3600);
+        const onTokenRefreshed = mock.fn();
+
+        await createAgentFetch(createContext(freshToken), 'hr', createToken(-60), onTokenRefreshed)('https://agent.example.com/');
+
+        assert.deepStrictEqual(authorizations, [`Bearer ${freshToken}`]);
+        assert.deepStrictEqual(onTokenRefreshed.mock.calls.map(call => call.arguments[0]), [freshToken]);
+    });
+
+    it('asks for sign-in instead of sending an expired token it can\'t replace', async () => {
+        const authorizations = answerWith(200);
+        const agentFetch = createAgentFetch(createContext(createToken(-30)), 'hr', createToken(-60));
+
+        await assert.rejects(agentFetch('https://agent.example.com/'), (error) =>
+            error instanceof AuthenticationRequiredError && error.connectionName === 'hr');
+        assert.deepStrictEqual(authorizations, []);
+    });
+
+    it('retries a 401 once with a fresh token', async () => {
+        const authorizations = answerWith(401, 200);
+        const token = createToken(3600);
+        const freshToken = createToken(3600);
+
+        const response = await createAgentFetch(createContext(freshToken), 'hr', token)('https://agent.example.com/');
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(authorizations, [`Bearer ${token}`, `Bearer ${freshToken}`]);
+    });
+
+    it('asks for sign-in when the agent rejects the only token there is', async () => {
+        answerWith(401);
+        const token = createToken(3600);
+
+        await assert.rejects(createAgentFetch(createContext(token), 'hr', token)('https://agent.example.com/'), AuthenticationRequiredError);
+    });
+});
@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { parseCardSubmission, tagCardActions } = require('../services/dataCards');
+
+const SOURCE = { agentName: 'hr', taskId: 'task-1', contextId: 'context-1' };
+
+describe('parseCardSubmission', () => {
+    it('splits the source from the values the user entered', () => {
+        const submission = parseCardSubmission({ days: '3', reason: 'Trip', a2aCard: SOURCE });
+
+        assert.deepStrictEqual(submission, { source: SOURCE, values: { days: '3', reason: 'Trip' } });
+    });
+
+    it('reads the data of actions tagged with tagCardActions', () => {
+        const card = tagCardActions({
+            type: 'AdaptiveCard',
+            body: [{ type: 'Input.Text', id: 'days' }],
+            actions: [
+                { type: 'Action.Execute', verb: 'approve', data: { choice: 'approve' } },
+                { type: 'Action.ShowCard', card: { type: 'AdaptiveCard', actions: [{ type: 'Action.Submit', data: 'reject' }] } }
+            ]
+        }, SOURCE);
+
+        const execute = parseCardSubmission({ ...card.actions[0].data, days: '3' });
+        assert.deepStrictEqual(execute, { source: SOURCE, values: { choice: 'approve', days: '3' } });
+
+        const nested = parseCardSubmission(card.actions[1].card.actions[0].data);
+        assert.deepStrictEqual(nested, { source: SOURCE, values: { value: 'reject' } });
+    });
+
+    it('returns undefined for cards that didn\'t come from an agent', () => {
+        assert.strictEqual(parseCardSubmission({ days: '3' }), undefined);
+        assert.strictEqual(parseCardSubmission({ a2aCard: { taskId: 'task-1' } }), undefined);
+        assert.strictEqual(parseCardSubmission('approve'), undefined);
+        assert.strictEqual(parseCardSubmission(null), undefined);
+        assert.strictEqual(parseCardSubmission(undefined), undefined);
+    });
+
+    it('doesn\'t change the submitted data', () => {
+        const data = { days: '3', a2aCard: SOURCE };
+        parseCardSubmission(data);
+        assert.deepStrictEqual(data, { days: '3', a2aCard: SOURCE });
+    });
+});
+
+describe('tagCardActions', () => {
+    it('leaves the agent\'s card unchanged', () => {
+        const card = { type: 'AdaptiveCard', actions: [{ type: 'Action.Submit', data: { choice: 'yes' } }] };
+        tagCardActions(card, SOURCE);
+        assert.deepStrictEqual(card.actions[0].data, { choice: 'yes' });
+    });
+
+    it('tags submit actions only', () => {
+        const card = tagCardActions({
+            type: 'AdaptiveCard',
+            actions: [
+                { type: 'Action.OpenUrl', url: 'https://example.com' },
+                { type: 'Action.Submit' }
+            ]
+        }, SOURCE);
+
+        assert.strictEqual(card.actions[0].data, undefined);
+        assert.deepStrictEqual(card.actions[1].data, { a2aCard: SOURCE });
+    });
+});
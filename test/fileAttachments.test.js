@@ -0,0 +1,70 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const assert = require('node:assert');
+const dns = require('node:dns');
+const { afterEach, describe, it, mock } = require('node:test');
+const { FileAttachmentService, checkPublicUrl } = require('../services/fileAttachments');
+
+/**
+ * Makes DNS answer a host name with the given addresses.
+ * @param {Array<string>} addresses - The addresses.
+ */
+function resolveTo(...addresses) {
+    mock.method(dns.promises, 'lookup', async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+}
+
+describe('checkPublicUrl', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('accepts https URLs whose host resolves to public addresses', async () => {
+        resolveTo('20.190.151.7', '2603:1030:20e:3::23c');
+        await checkPublicUrl(new URL('https://files.example.com/report.pdf'));
+    });
+
+    it('refuses schemes other than https', async () => {
+        await assert.rejects(checkPublicUrl(new URL('http://files.example.com/report.pdf')), /unsupported URI scheme http:/);
+        await assert.rejects(checkPublicUrl(new URL('file:///etc/passwd')), /unsupported URI scheme file:/);
+    });
+
+    it('refuses loopback, private, link-local and carrier-grade NAT addresses', async () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0']) {
+            await assert.rejects(checkPublicUrl(new URL(`https://${address}/`)), /is not a public host/, address);
+        }
+    });
+
+    it('refuses IPv6 loopback, unique-local, link-local and IPv4-mapped private addresses', async () => {
+        for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1']) {
+            await assert.rejects(checkPublicUrl(new URL(`https://[${address}]/`)), /is not a public host/, address);
+        }
+    });
+
+    it('refuses hosts with any private address among their DNS answers', async () => {
+        resolveTo('20.190.151.7', '10.0.0.5');
+        await assert.rejects(checkPublicUrl(new URL('https://files.example.com/')), /files\.example\.com is not a public host/);
+    });
+
+    it('refuses hosts that resolve to nothing', async () => {
+        resolveTo();
+        await assert.rejects(checkPublicUrl(new URL('https://files.example.com/')), /is not a public host/);
+    });
+
+    it('checks IP literals without a DNS lookup', async () => {
+        const lookup = mock.method(dns.promises, 'lookup', async () => []);
+        await checkPublicUrl(new URL('https://20.190.151.7/'));
+        assert.strictEqual(lookup.mock.callCount(), 0);
+    });
+});
+
+describe('FileAttachmentService.downloadFromAgent', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('refuses a host that resolves to a private address when connecting, after passing the check (DNS rebinding)', async () => {
+        resolveTo('20.190.151.7');
+        const service = new FileAttachmentService();
+        await assert.rejects(
+            service.downloadFromAgent(new URL('https://localhost/report.pdf'), { agentOrigin: 'https://agent.example.com' }),
+            error => /localhost is not a public host/.test(error.cause?.message)
+        );
+    });
+});
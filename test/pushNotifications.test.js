@@ -0,0 +1,117 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const assert = require('node:assert');
+const { beforeEach, describe, it, mock } = require('node:test');
+const { MemoryStorage } = require('botbuilder');
+const { PushNotificationService } = require('../services/pushNotifications');
+const { createStorage } = require('../services/botStorage');
+
+const AGENT_CARD = { capabilities: { pushNotifications: true } };
+
+/**
+ * Builds a turn context with a Teams message activity.
+ * @returns {Object} The context.
+ */
+function createContext() {
+    return {
+        activity: {
+            type: 'message',
+            id: 'activity-1',
+            channelId: 'msteams',
+            serviceUrl: 'https://smba.trafficmanager.net/teams/',
+            from: { id: 'user-1' },
+            recipient: { id: 'bot-1' },
+            conversation: { id: 'conversation-1' }
+        }
+    };
+}
+
+describe('PushNotificationService.verify', () => {
+    let service;
+    let config;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        service = new PushNotificationService(createStorage({}), 'https://bot.example.com/api/a2a/notifications');
+        config = await service.createConfig(createContext(), 'hr-agent', AGENT_CARD);
+        mock.restoreAll();
+    });
+
+    it('accepts a notification with the registration token and binds the registration to its task', async () => {
+        const registration = await service.verify(config.id, config.token, { id: 'task-1' });
+
+        assert.strictEqual(registration.agentName, 'hr-agent');
+        assert.strictEqual(registration.conversationReference.conversation.id, 'conversation-1');
+        assert.strictEqual((await service.getRegistration(config.id)).taskId, 'task-1');
+    });
+
+    it('puts the registration id in the webhook URL', () => {
+        assert.strictEqual(new URL(config.url).searchParams.get('registration'), config.id);
+    });
+
+    it('rejects a wrong or missing token', async () => {
+        assert.strictEqual(await service.verify(config.id, 'wrong-token', { id: 'task-1' }), undefined);
+        assert.strictEqual(await service.verify(config.id, `${config.token}x`, { id: 'task-1' }), undefined);
+        assert.strictEqual(await service.verify(config.id, undefined, { id: 'task-1' }), undefined);
+    });
+
+    it('rejects unknown registrations and empty payloads', async () => {
+        assert.strictEqual(await service.verify('unknown', config.token, { id: 'task-1' }), undefined);
+        assert.strictEqual(await service.verify(config.id, config.token, undefined), undefined);
+    });
+
+    it('rejects notifications for another task than the first one', async () => {
+        assert.ok(await service.verify(config.id, config.token, { id: 'task-1' }));
+        assert.ok(await service.verify(config.id, config.token, { kind: 'status-update', taskId: 'task-1' }));
+        assert.strictEqual(await service.verify(config.id, config.token, { id: 'task-2' }), undefined);
+    });
+
+    it('rejects and deletes expired registrations', async () => {
+        const registration = await service.getRegistration(config.id);
+        registration.expiresAt = Date.now() - 1;
+        await service.saveRegistration(registration);
+
+        assert.strictEqual(await service.verify(config.id, config.token, { id: 'task-1' }), undefined);
+        assert.strictEqual(await service.getRegistration(config.id), undefined);
+    });
+
+    it('rejects notifications once the registration is released', async () => {
+        await service.release(config.id);
+        assert.strictEqual(await service.verify(config.id, config.token, { id: 'task-1' }), undefined);
+    });
+
+    it('lets only one of two concurrent notifications claim the registration', async () => {
+        const results = await Promise.allSettled([
+            service.verify(config.id, config.token, { id: 'task-1' }),
+            service.verify(config.id, config.token, { id: 'task-1' })
+        ]);
+
+        assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    });
+});
+
+describe('PushNotificationService.createConfig', () => {
+    it('returns nothing when the agent card has no push notification capability', async () => {
+        const service = new PushNotificationService(new MemoryStorage(), 'https://bot.example.com/api/a2a/notifications');
+        assert.strictEqual(await service.createConfig(createContext(), 'hr-agent', { capabilities: {} }), undefined);
+    });
+
+    it('returns nothing when the bot has no notification URL', async () => {
+        const service = new PushNotificationService(new MemoryStorage(), undefined);
+        assert.strictEqual(await service.createConfig(createContext(), 'hr-agent', AGENT_CARD), undefined);
+    });
+
+    it('prunes expired registrations when a new one is created', async () => {
+        mock.method(console, 'log', () => {});
+        const service = new PushNotificationService(createStorage({}), 'https://bot.example.com/api/a2a/notifications');
+        const old = await service.createConfig(createContext(), 'hr-agent', AGENT_CARD);
+        mock.method(Date, 'now', () => new Date().getTime() + 25 * 60 * 60 * 1000);
+
+        const config = await service.createConfig(createContext(), 'hr-agent', AGENT_CARD);
+        mock.restoreAll();
+
+        assert.strictEqual(await service.getRegistration(old.id), undefined);
+        assert.ok(await service.getRegistration(config.id));
+    });
+});
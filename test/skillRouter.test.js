@@ -0,0 +1,129 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const { AgentRegistry } = require('../services/agentRegistry');
+const { SkillRouter } = require('../services/skillRouter');
+
+const registry = new AgentRegistry([
+    { name: 'hr', displayName: 'HR Agent', cardUrl: 'https://hr.example.com/.well-known/agent-card.json' },
+    { name: 'it', displayName: 'IT Agent', cardUrl: 'https://it.example.com/.well-known/agent-card.json' },
+    { name: 'general', displayName: 'General Agent', cardUrl: 'https://general.example.com/.well-known/agent-card.json' }
+]);
+
+const HR_CARD = {
+    skills: [
+        {
+            id: 'time-off',
+            name: 'Time off',
+            description: 'Requests vacation and checks the leave balance',
+            tags: ['vacation', 'leave balance', 'holiday'],
+            examples: ['How many vacation days do I have left?']
+        },
+        {
+            id: 'payroll',
+            name: 'Payroll',
+            description: 'Answers questions about payslips and salary',
+            tags: ['payslip', 'salary']
+        }
+    ]
+};
+
+const IT_CARD = {
+    skills: [
+        {
+            id: 'password-reset',
+            name: 'Password reset',
+            description: 'Resets a forgotten password or unlocks an account',
+            tags: ['password', 'locked out', 'account'],
+            examples: ['I forgot my password']
+        }
+    ]
+};
+
+const candidates = [
+    { agent: registry.get('hr'), agentCard: HR_CARD },
+    { agent: registry.get('it'), agentCard: IT_CARD }
+];
+
+describe('SkillRouter.route', () => {
+    const router = new SkillRouter(registry);
+
+    it('picks the agent and skill whose tags match the message', () => {
+        const decision = router.route('I am locked out of my laptop', candidates, registry.getDefault());
+
+        assert.strictEqual(decision.agent.name, 'it');
+        assert.strictEqual(decision.skill.id, 'password-reset');
+        assert.match(decision.reason, /tag "locked out"/);
+    });
+
+    it('matches multi-word tags only as a phrase', () => {
+        const decision = router.route('What is my leave balance?', candidates, registry.getDefault());
+        assert.strictEqual(decision.skill.id, 'time-off');
+
+        const scattered = router.route('balance the books before you leave', candidates, registry.getDefault());
+        assert.notStrictEqual(scattered.skill?.id, 'time-off');
+    });
+
+    it('picks the best scoring skill across agents', () => {
+        const decision = router.route('Where is my payslip? My salary looks wrong', candidates, registry.getDefault());
+
+        assert.strictEqual(decision.agent.name, 'hr');
+        assert.strictEqual(decision.skill.id, 'payroll');
+        assert.ok(decision.score > 6);
+    });
+
+    it('ignores case, punctuation and stop words', () => {
+        const decision = router.route('PASSWORD!!!', candidates, registry.getDefault());
+        assert.strictEqual(decision.skill.id, 'password-reset');
+
+        assert.strictEqual(router.route('what can you do for me?', candidates, registry.getDefault()).score, 0);
+    });
+
+    it('uses the default agent when no skill scores enough', () => {
+        const decision = router.route('what is the weather like', candidates, registry.get('general'));
+
+        assert.strictEqual(decision.agent.name, 'general');
+        assert.strictEqual(decision.skill, null);
+        assert.strictEqual(decision.reason, 'no skill matched the message, using the fallback agent');
+    });
+
+    it('needs the minimum score; a description word alone isn\'t enough', () => {
+        const decision = router.route('forgotten', candidates, registry.get('general'));
+
+        assert.strictEqual(decision.agent.name, 'general');
+        assert.strictEqual(decision.score, 1);
+    });
+
+    it('skips candidates whose card has no skills', () => {
+        const decision = router.route('password', [{ agent: registry.get('general'), agentCard: {} }, ...candidates], registry.getDefault());
+        assert.strictEqual(decision.agent.name, 'it');
+    });
+});
+
+describe('SkillRouter options', () => {
+    it('uses the configured fallback agent instead of the default', () => {
+        const router = new SkillRouter(registry, { fallbackAgentName: 'general' });
+        assert.strictEqual(router.route('hello there', candidates, registry.get('hr')).agent.name, 'general');
+    });
+
+    it('honours a lower minimum score', () => {
+        const router = new SkillRouter(registry, { minScore: 1 });
+        assert.strictEqual(router.route('forgotten', candidates, registry.get('general')).skill.id, 'password-reset');
+    });
+
+    it('reads its options from the environment', () => {
+        const router = SkillRouter.fromEnv(registry, { A2A_ROUTER_FALLBACK_AGENT: 'general', A2A_ROUTER_MIN_SCORE: '5' });
+        assert.strictEqual(router.fallbackAgentName, 'general');
+        assert.strictEqual(router.minScore, 5);
+    });
+
+    it('refuses a fallback agent that isn\'t configured', () => {
+        assert.throws(() => new SkillRouter(registry, { fallbackAgentName: 'finance' }), /Fallback agent 'finance' is not configured/);
+    });
+
+    it('requires an agent registry', () => {
+        assert.throws(() => new SkillRouter(), /agentRegistry is required/);
+    });
+});
@@ -0,0 +1,163 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+const {
+    TokenValidationError,
+    decodeTokenClaims,
+    formatTimeToExpiry,
+    isTokenExpired,
+    preflightToken,
+    validateTokenClaims
+} = require('../services/tokenClaims');
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+const NOW_SECONDS = NOW / 1000;
+
+const EXPECTED_CLAIMS = {
+    aud: ['api://hr-agent'],
+    iss: 'https://login.microsoftonline.com/tenant-1/v2.0',
+    scp: ['access_as_user'],
+    roles: ['Agent.Read']
+};
+
+/**
+ * Builds an unsigned JWT with the given claims.
+ * @param {Object} claims - The claims.
+ * @returns {string} The token.
+ */
+function createToken(claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none' })}.${encode(claims)}.signature`;
+}
+
+/**
+ * Builds claims that match EXPECTED_CLAIMS.
+ * @param {Object} [overrides] - Claims to change.
+ * @returns {Object} The claims.
+ */
+function createClaims(overrides = {}) {
+    return {
+        aud: 'api://hr-agent',
+        iss: 'https://login.microsoftonline.com/tenant-1/v2.0',
+        scp: 'User.Read access_as_user',
+        roles: ['Agent.Read', 'Agent.Write'],
+        exp: NOW_SECONDS + 3600,
+        ...overrides
+    };
+}
+
+describe('validateTokenClaims', () => {
+    it('finds no problems when the claims match', () => {
+        assert.deepStrictEqual(validateTokenClaims(createClaims(), EXPECTED_CLAIMS, { now: NOW }), []);
+    });
+
+    it('accepts any of the listed audiences, including in an audience list', () => {
+        const expected = { aud: ['api://hr-agent', 'api://hr-agent-v2'] };
+        assert.deepStrictEqual(validateTokenClaims(createClaims({ aud: 'api://hr-agent-v2' }), expected, { now: NOW }), []);
+        assert.deepStrictEqual(validateTokenClaims(createClaims({ aud: ['api://other', 'api://hr-agent'] }), expected, { now: NOW }), []);
+    });
+
+    it('reports a wrong or missing audience', () => {
+        assert.deepStrictEqual(
+            validateTokenClaims(createClaims({ aud: 'api://other' }), EXPECTED_CLAIMS, { now: NOW }),
+            ['audience is api://other, expected api://hr-agent']
+        );
+        assert.deepStrictEqual(
+            validateTokenClaims(createClaims({ aud: undefined }), EXPECTED_CLAIMS, { now: NOW }),
+            ['audience is missing, expected api://hr-agent']
+        );
+    });
+
+    it('reports a wrong issuer', () => {
+        const problems = validateTokenClaims(createClaims({ iss: 'https://sts.windows.net/tenant-1/' }), EXPECTED_CLAIMS, { now: NOW });
+        assert.deepStrictEqual(problems, ['issuer is https://sts.windows.net/tenant-1/, expected https://login.microsoftonline.com/tenant-1/v2.0']);
+    });
+
+    it('reports missing scopes and roles', () => {
+        const problems = validateTokenClaims(createClaims({ scp: 'User.Read', roles: undefined }), EXPECTED_CLAIMS, { now: NOW });
+        assert.deepStrictEqual(problems, ['missing scope access_as_user', 'missing role Agent.Read']);
+    });
+
+    it('reports every problem at once', () => {
+        const problems = validateTokenClaims({ exp: NOW_SECONDS - 60 }, EXPECTED_CLAIMS, { now: NOW });
+        assert.strictEqual(problems.length, 5);
+        assert.match(problems[0], /^it expired at 2026-01-01T11:59:00.000Z$/);
+    });
+
+    it('reports expired tokens unless expiry checks are off', () => {
+        const claims = createClaims({ exp: NOW_SECONDS - 1 });
+        assert.deepStrictEqual(validateTokenClaims(claims, {}, { now: NOW }), ['it expired at 2026-01-01T11:59:59.000Z']);
+        assert.deepStrictEqual(validateTokenClaims(claims, {}, { now: NOW, checkExpiry: false }), []);
+    });
+
+    it('treats tokens that expire within the clock skew as expired', () => {
+        const claims = createClaims({ exp: NOW_SECONDS + 30 });
+        assert.deepStrictEqual(validateTokenClaims(claims, {}, { now: NOW }), []);
+        assert.strictEqual(validateTokenClaims(claims, {}, { now: NOW, skewSeconds: 60 }).length, 1);
+    });
+
+    it('checks nothing but expiry when the agent expects no claims', () => {
+        assert.deepStrictEqual(validateTokenClaims({}, undefined, { now: NOW }), []);
+    });
+});
+
+describe('decodeTokenClaims', () => {
+    it('reads the claims of a JWT', () => {
+        assert.deepStrictEqual(decodeTokenClaims(createToken({ aud: 'api://hr-agent' })), { aud: 'api://hr-agent' });
+    });
+
+    it('returns undefined for tokens that aren\'t JWTs', () => {
+        assert.strictEqual(decodeTokenClaims('opaque-token'), undefined);
+        assert.strictEqual(decodeTokenClaims('not.json!.token'), undefined);
+        assert.strictEqual(decodeTokenClaims(undefined), undefined);
+    });
+});
+
+describe('isTokenExpired', () => {
+    it('counts tokens that expire within a minute as expired', () => {
+        assert.strictEqual(isTokenExpired(createToken({ exp: NOW_SECONDS - 1 }), NOW), true);
+        assert.strictEqual(isTokenExpired(createToken({ exp: NOW_SECONDS + 30 }), NOW), true);
+        assert.strictEqual(isTokenExpired(createToken({ exp: NOW_SECONDS + 3600 }), NOW), false);
+    });
+
+    it('counts tokens without an expiry or that aren\'t JWTs as valid', () => {
+        assert.strictEqual(isTokenExpired(createToken({}), NOW), false);
+        assert.strictEqual(isTokenExpired('opaque-token', NOW), false);
+    });
+});
+
+describe('preflightToken', () => {
+    const agent = { name: 'hr', displayName: 'HR Agent', expectedClaims: EXPECTED_CLAIMS };
+
+    it('returns tokens that match the agent', () => {
+        const token = createToken(createClaims({ exp: Math.floor(Date.now() / 1000) + 3600 }));
+        assert.strictEqual(preflightToken(token, agent), token);
+    });
+
+    it('throws TokenValidationError for tokens the agent would reject', () => {
+        const token = createToken(createClaims({ aud: 'api://other', exp: Math.floor(Date.now() / 1000) + 3600 }));
+        assert.throws(() => preflightToken(token, agent), (error) =>
+            error instanceof TokenValidationError &&
+            error.agentName === 'HR Agent' &&
+            error.problems.length === 1);
+    });
+
+    it('throws for expired tokens', () => {
+        const token = createToken(createClaims({ exp: Math.floor(Date.now() / 1000) - 60 }));
+        assert.throws(() => preflightToken(token, agent), /expired at/);
+    });
+
+    it('passes tokens that aren\'t JWTs through', () => {
+        assert.strictEqual(preflightToken('opaque-token', agent), 'opaque-token');
+    });
+});
+
+describe('formatTimeToExpiry', () => {
+    it('formats the minutes left or since expiry', () => {
+        assert.strictEqual(formatTimeToExpiry({ exp: NOW_SECONDS + 42 * 60 }, NOW), '42 min');
+        assert.strictEqual(formatTimeToExpiry({ exp: NOW_SECONDS - 3 * 60 }, NOW), 'expired 3 min ago');
+        assert.strictEqual(formatTimeToExpiry({}, NOW), 'no expiry');
+    });
+});